@@ -0,0 +1,124 @@
+"use strict";
+
+var util = require('util');
+var eros = require('./eros');
+
+/**
+ * Create an error of the given class from the given
+ * message or options, with a stack trace starting at
+ * the caller of `stackStart`.
+ *
+ * @param {Function} ErrorClass
+ * @param {String|Object} [msg] The message or the options.
+ * @param {Function} stackStart
+ * @returns {Error}
+ * @api private
+ */
+
+function fail(ErrorClass, msg, stackStart) {
+    var options = {};
+    if (msg && typeof msg === 'object') {
+        Object.keys(msg).forEach(function(key) {
+            options[key] = msg[key];
+        });
+    } else if (msg != null) {
+        options.message = msg;
+    }
+    options.stackStart = stackStart;
+    return new ErrorClass(options);
+}
+
+/**
+ * Throw an error of the given class (`InternalError`
+ * by default) with the given message or constructor
+ * options unless the given condition is truthy. The
+ * stack trace of the error starts at the caller.
+ *
+ * Examples:
+ *
+ *  errors.assert(req.body.email, errors.BadRequestError, 'Email is required');
+ *  errors.assert(order.open, errors.ConflictError, {message: 'Order {id} is closed', id: order.id});
+ *
+ * @param {*} cond The condition.
+ * @param {Function} [ErrorClass] The class of the error to throw.
+ * @param {String|Object} [msg] The message or the constructor options.
+ * @return {*} the condition
+ * @api public
+ */
+
+var assert = module.exports = function assert(cond, ErrorClass, msg) {
+    if (typeof ErrorClass !== 'function') {
+        msg = ErrorClass;
+        ErrorClass = eros.InternalError;
+    }
+    if (!cond) {
+        throw fail(ErrorClass, msg, assert);
+    }
+    return cond;
+};
+
+/**
+ * Throw a `NotFoundError` if the given value is `null`
+ * or `undefined`, else return the value. Given the name
+ * of what was looked up, the message reads e.g.
+ * `User not found`.
+ *
+ * Examples:
+ *
+ *  var user = errors.assert.found(users.get(id), 'User');
+ *
+ * @param {*} value The value looked up.
+ * @param {String|Object} [what] The name of what was looked up or the constructor options.
+ * @return {*} the value
+ * @api public
+ */
+
+assert.found = function found(value, what) {
+    if (value == null) {
+        throw fail(eros.NotFoundError, typeof what === 'string' ? util.format('%s not found', what) : what, found);
+    }
+    return value;
+};
+
+/**
+ * Throw an `UnauthorizedError` unless the given
+ * condition is truthy. A `challenge` option sets the
+ * `WWW-Authenticate` header.
+ *
+ * Examples:
+ *
+ *  errors.assert.authorized(req.user, {message: 'Login required', challenge: 'Bearer'});
+ *
+ * @param {*} cond The condition.
+ * @param {String|Object} [msg] The message or the constructor options.
+ * @return {*} the condition
+ * @api public
+ */
+
+assert.authorized = function authorized(cond, msg) {
+    if (!cond) {
+        throw fail(eros.UnauthorizedError, msg, authorized);
+    }
+    return cond;
+};
+
+/**
+ * Throw a `ForbiddenError` unless the given condition
+ * is truthy.
+ *
+ * Examples:
+ *
+ *  errors.assert.allowed(user.isAdmin, 'Admins only');
+ *
+ * @param {*} cond The condition.
+ * @param {String|Object} [msg] The message or the constructor options.
+ * @return {*} the condition
+ * @api public
+ */
+
+assert.allowed = function allowed(cond, msg) {
+    if (!cond) {
+        throw fail(eros.ForbiddenError, msg, allowed);
+    }
+    return cond;
+};
@@ -0,0 +1,225 @@
+"use strict";
+
+var util = require('util');
+var escape = require('./html').escape;
+
+/*!
+ * columns of the rendered catalog tables
+ */
+
+var columns = [
+    ['code', 'Code'],
+    ['name', 'Name'],
+    ['status', 'Status'],
+    ['parent', 'Parent'],
+    ['message', 'Message'],
+    ['explanation', 'Explanation'],
+    ['response', 'Response']
+];
+
+/**
+ * Order catalog entries by code, numeric codes first,
+ * then by name.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Number}
+ * @api private
+ */
+
+function byCode(a, b) {
+    var na = typeof a.code === 'number', nb = typeof b.code === 'number';
+    if (na !== nb) {
+        return na ? -1 : 1;
+    }
+    if (a.code !== b.code) {
+        return na ? a.code - b.code : String(a.code) < String(b.code) ? -1 : 1;
+    }
+    return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+}
+
+/**
+ * Build the catalog of the given error constructors
+ * indexed by name. Every constructor is described by
+ * its `name`, `code`, `status`, the name of its
+ * `parent` and its default `message`, `explanation`
+ * and `response`. The `tree` lists the constructors
+ * whose parent is not part of the catalog, each with
+ * the `children` inheriting from it.
+ *
+ * Given the list of every constructor defined, names
+ * and codes used more than once are listed in
+ * `duplicates`, each with the `field` (`name` or
+ * `code`), its `value` and the names of the `errors`
+ * sharing it.
+ *
+ * @param {Object} names The constructors indexed by name.
+ * @param {Array} [defined] The constructors in definition order.
+ * @return {Object} `{errors: Array, tree: Array, duplicates: Array}`
+ * @api public
+ */
+
+exports.build = function(names, defined) {
+    var classes = [], nodes = {}, tree = [];
+    Object.keys(names).forEach(function(name) {
+        // skip names overwritten by a later definition
+        if (names[name].prototype.name === name) {
+            classes.push(names[name]);
+        }
+    });
+
+    var errors = classes.map(function(ErrorClass) {
+        var parent = ErrorClass.super_;
+        return {
+            name: ErrorClass.prototype.name,
+            code: ErrorClass.code,
+            status: ErrorClass.status,
+            parent: parent && parent.prototype.name,
+            message: ErrorClass.template,
+            explanation: ErrorClass.defaultExplanation,
+            response: ErrorClass.defaultResponse
+        };
+    }).sort(byCode);
+
+    errors.forEach(function(entry) {
+        nodes[entry.name] = {name: entry.name, code: entry.code, children: []};
+    });
+    errors.forEach(function(entry) {
+        var parent = classes.indexOf(names[entry.parent]) >= 0 && nodes[entry.parent];
+        (parent ? parent.children : tree).push(nodes[entry.name]);
+    });
+    return {errors: errors, tree: tree, duplicates: duplicates(defined || [])};
+};
+
+/**
+ * Return the names and codes shared by several of the
+ * given constructors.
+ *
+ * @param {Array} defined
+ * @returns {Array}
+ * @api private
+ */
+
+function duplicates(defined) {
+    var result = [];
+    ['name', 'code'].forEach(function(field) {
+        var seen = {};
+        defined.forEach(function(ErrorClass) {
+            var value = field === 'name' ? ErrorClass.prototype.name : ErrorClass.code,
+                key = typeof value + ':' + value;
+            if (!seen[key]) {
+                seen[key] = {field: field, value: value, errors: []};
+                result.push(seen[key]);
+            }
+            seen[key].errors.push(ErrorClass.prototype.name);
+        });
+    });
+    return result.filter(function(entry) {
+        return entry.errors.length > 1;
+    });
+}
+
+/**
+ * Return the given value as the text of a table cell.
+ *
+ * @param {*} value
+ * @returns {String}
+ * @api private
+ */
+
+function cell(value) {
+    return value == null ? '' : String(value);
+}
+
+/**
+ * Render the given catalog as a Markdown page.
+ *
+ * @param {Object} catalog
+ * @param {Object} [options] The options.
+ * @param {String} options.title The page title.
+ * @return {String}
+ * @api public
+ */
+
+exports.markdown = function(catalog, options) {
+    options = options || {};
+    var lines = ['# ' + (options.title || 'Error catalog'), '', '## Errors', ''];
+
+    function row(cells) {
+        return '| ' + cells.map(function(text) {
+            return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        }).join(' | ') + ' |';
+    }
+
+    lines.push(row(columns.map(function(column) { return column[1]; })));
+    lines.push(row(columns.map(function() { return '---'; })));
+    catalog.errors.forEach(function(entry) {
+        lines.push(row(columns.map(function(column) { return cell(entry[column[0]]); })));
+    });
+
+    lines.push('', '## Hierarchy', '');
+    (function list(nodes, indent) {
+        nodes.forEach(function(node) {
+            lines.push(indent + '- ' + node.name + (node.code != null ? ' (' + node.code + ')' : ''));
+            list(node.children, indent + '  ');
+        });
+    })(catalog.tree, '');
+
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Render the given catalog as an HTML page.
+ *
+ * @param {Object} catalog
+ * @param {Object} [options] The options.
+ * @param {String} options.title The page title.
+ * @return {String}
+ * @api public
+ */
+
+exports.html = function(catalog, options) {
+    options = options || {};
+    var title = escape(options.title || 'Error catalog'),
+        html = '<!DOCTYPE html>\n<html><head><title>' + title + '</title></head><body>\n'
+            + '<h1>' + title + '</h1>\n<h2>Errors</h2>\n<table>\n<tr>';
+
+    html += columns.map(function(column) { return '<th>' + column[1] + '</th>'; }).join('') + '</tr>\n';
+    catalog.errors.forEach(function(entry) {
+        html += '<tr id="' + escape(entry.name) + '">' + columns.map(function(column) {
+            return '<td>' + escape(cell(entry[column[0]])) + '</td>';
+        }).join('') + '</tr>\n';
+    });
+    html += '</table>\n<h2>Hierarchy</h2>\n';
+
+    html += (function list(nodes) {
+        if (!nodes.length) {
+            return '';
+        }
+        return '<ul>' + nodes.map(function(node) {
+            return '<li><a href="#' + escape(node.name) + '">' + escape(node.name) + '</a>'
+                + (node.code != null ? ' (' + escape(node.code) + ')' : '')
+                + list(node.children) + '</li>';
+        }).join('') + '</ul>';
+    })(catalog.tree);
+
+    return html + '\n</body></html>\n';
+};
+
+/**
+ * Render the given catalog in the given format.
+ *
+ * @param {Object} catalog
+ * @param {String} format `markdown` (or `md`) or `html`.
+ * @param {Object} [options] The options of the renderer.
+ * @return {String}
+ * @api public
+ */
+
+exports.render = function(catalog, format, options) {
+    var renderer = {markdown: exports.markdown, md: exports.markdown, html: exports.html}[format];
+    if (!renderer) {
+        throw Error(util.format("Unknown catalog format '%s'", format));
+    }
+    return renderer(catalog, options);
+};
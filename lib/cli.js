@@ -0,0 +1,247 @@
+"use strict";
+
+var util = require('util');
+var path = require('path');
+var eros = require('./eros');
+
+/*!
+ * usage of the command line tool
+ */
+
+var usage = [
+    'Usage: eros <command> [options]',
+    '',
+    'Commands:',
+    '  lookup <code|name>  show an error with its explanation, response and parents,',
+    '                      or the errors whose codes match a pattern like DB.*',
+    '  list                list every error by code',
+    '  check               fail on duplicate error names or codes',
+    '',
+    'Options:',
+    '  --module <file>     load a module defining errors (repeatable)',
+    '  --format <format>   output of list: text, json, markdown or html'
+].join('\n');
+
+/**
+ * Parse the given command line arguments.
+ *
+ * @param {Array} argv
+ * @returns {Object} `{args: Array, modules: Array, format: String}`
+ * @api private
+ */
+
+function parse(argv) {
+    var result = {args: [], modules: [], format: 'text'};
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i], value;
+        if (arg.indexOf('--') === 0) {
+            var eq = arg.indexOf('=');
+            value = eq > 0 ? arg.slice(eq + 1) : argv[++i];
+            arg = eq > 0 ? arg.slice(0, eq) : arg;
+            if (value === undefined) {
+                throw Error(util.format("option %s requires a value", arg));
+            }
+            if (arg === '--module') {
+                result.modules.push(value);
+            } else if (arg === '--format') {
+                result.format = value;
+            } else {
+                throw Error(util.format("unknown option %s", arg));
+            }
+        } else {
+            result.args.push(arg);
+        }
+    }
+    return result;
+}
+
+/**
+ * Load the given modules and return the registry to
+ * report on. A module exporting a registry (or the
+ * `eros` module itself) selects that registry, other
+ * modules are expected to define their errors in the
+ * default registry. A warning is written for each module
+ * that adds no errors to the selected registry, e.g. one
+ * defining its errors in a registry it does not export.
+ *
+ * @param {Array} modules
+ * @param {String} cwd The directory to resolve modules from.
+ * @param {Stream} stderr The stream to write warnings to.
+ * @returns {Object}
+ * @api private
+ */
+
+function load(modules, cwd, stderr) {
+    var registry = eros,
+        sources = [];
+    modules.forEach(function(file) {
+        var resolved = require.resolve(path.resolve(cwd, file)),
+            // a cached module defined its errors before, so nothing can be told
+            cached = !!require.cache[resolved],
+            before = eros.catalog().errors.length,
+            exported = require(resolved);
+        if (exported && typeof exported.catalog === 'function' && typeof exported.find === 'function') {
+            registry = exported;
+            sources.push({file: file, registry: exported});
+        } else if (!cached) {
+            sources.push({file: file, registry: eros.catalog().errors.length > before ? eros : null});
+        }
+    });
+    sources.forEach(function(source) {
+        if (source.registry !== registry) {
+            stderr.write(util.format("eros: warning: module %s adds no errors to the listed registry\n", source.file));
+        }
+    });
+    return registry;
+}
+
+/**
+ * Pad the given string to the given width.
+ *
+ * @param {String} str
+ * @param {Number} width
+ * @returns {String}
+ * @api private
+ */
+
+function pad(str, width) {
+    str = str == null ? '' : String(str);
+    return str + new Array(Math.max(width - str.length, 0) + 1).join(' ');
+}
+
+/**
+ * Return the `lookup` output for the error with the
+ * given code or name, or for the errors whose codes
+ * match the given pattern (e.g. `DB.*`).
+ *
+ * @param {Object} registry
+ * @param {String} key
+ * @returns {String}
+ * @api private
+ */
+
+function lookup(registry, key) {
+    var found = registry.find(/^-?\d+$/.test(key) ? parseInt(key, 10) : key);
+    if (!found || !found.length && Array.isArray(found)) {
+        throw Error(util.format("no error found for '%s'", key));
+    }
+    return [].concat(found).map(function(ErrorClass) {
+        return describe(registry, ErrorClass);
+    }).join('\n\n');
+}
+
+/**
+ * Return the description of the given error class.
+ *
+ * @param {Object} registry
+ * @param {Function} ErrorClass
+ * @returns {String}
+ * @api private
+ */
+
+function describe(registry, ErrorClass) {
+    var entry = registry.catalog().errors.filter(function(entry) {
+            return entry.name === ErrorClass.prototype.name;
+        })[0],
+        parents = [];
+    for (var parent = ErrorClass.super_; parent; parent = parent.super_) {
+        parents.push(parent.prototype.name);
+    }
+    return [
+        entry.name,
+        '  Code:        ' + entry.code,
+        '  Status:      ' + (entry.status != null ? entry.status : 'depends on the options'),
+        '  Message:     ' + entry.message,
+        '  Explanation: ' + (entry.explanation || '-'),
+        '  Response:    ' + (entry.response || '-'),
+        '  Parents:     ' + parents.join(' < ')
+    ].join('\n');
+}
+
+/**
+ * Return the `list` output in the given format.
+ *
+ * @param {Object} registry
+ * @param {String} format
+ * @returns {String}
+ * @api private
+ */
+
+function list(registry, format) {
+    var catalog = registry.catalog();
+    if (format === 'json') {
+        return JSON.stringify(catalog, null, 2);
+    }
+    if (format !== 'text') {
+        return eros.renderCatalog(catalog, format).replace(/\n$/, '');
+    }
+    return catalog.errors.map(function(entry) {
+        return pad(entry.code, 8) + pad(entry.status, 8) + pad(entry.name, 32) + entry.message;
+    }).join('\n');
+}
+
+/**
+ * Return the `check` output, throwing if there are
+ * duplicate names or codes.
+ *
+ * @param {Object} registry
+ * @returns {String}
+ * @api private
+ */
+
+function check(registry) {
+    var duplicates = registry.catalog().duplicates;
+    if (duplicates.length) {
+        throw Error('duplicate error names or codes' + duplicates.map(function(entry) {
+            return util.format("\n  %s %s: %s", entry.field, entry.value, entry.errors.join(', '));
+        }).join(''));
+    }
+    return 'No duplicate error names or codes.';
+}
+
+/**
+ * Run the `eros` command line tool with the given
+ * arguments, writing to the given streams.
+ *
+ * Examples:
+ *
+ *  eros lookup 404
+ *  eros lookup FatalDBError --module ./lib/errors.js
+ *  eros list --module ./lib/errors.js --format markdown > ERRORS.md
+ *  eros check --module ./lib/errors.js
+ *
+ * @param {Array} argv The arguments, without the node and script path.
+ * @param {Object} [options] The options.
+ * @param {Stream} options.stdout The output stream.
+ * @param {Stream} options.stderr The error stream.
+ * @param {String} options.cwd The directory to resolve modules from.
+ * @return {Number} the exit code
+ * @api public
+ */
+
+exports.run = function(argv, options) {
+    options = options || {};
+    var stdout = options.stdout || process.stdout,
+        stderr = options.stderr || process.stderr;
+    try {
+        var opts = parse(argv),
+            command = opts.args[0],
+            registry = load(opts.modules, options.cwd || process.cwd(), stderr),
+            out;
+        if (command === 'lookup' && opts.args[1]) {
+            out = lookup(registry, opts.args[1]);
+        } else if (command === 'list') {
+            out = list(registry, opts.format);
+        } else if (command === 'check') {
+            out = check(registry);
+        } else {
+            stderr.write(usage + '\n');
+            return 2;
+        }
+        stdout.write(out + '\n');
+        return 0;
+    } catch (err) {
+        stderr.write('eros: ' + err.message + '\n');
+        return 1;
+    }
+};
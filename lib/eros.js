@@ -2,6 +2,15 @@
 
 var util = require('util');
 var http = require('http');
+var EventEmitter = require('events').EventEmitter;
+var problem = require('./problem');
+var grpc = require('./grpc');
+var jsonrpc = require('./jsonrpc');
+var redact = require('./redact');
+var catalog = require('./catalog');
+var log = require('./log');
+var metrics = require('./metrics');
+var fingerprint = require('./fingerprint');
 
 /**
  * JavaScript Error constructors indexed by name
@@ -24,87 +33,539 @@ exports.sys = {
 };
 
 /*!
- * error constructors indexed by code
+ * brand of the prototypes of generated constructors,
+ * shared by every copy of this module and every realm
  */
 
-var codes = {};
+var brand = Symbol.for('eros.error');
 
 /*!
- * error constructors indexed by name
+ * identity of this copy of the module
  */
 
-var names = {};
+var copy = {};
 
+/**
+ * Return the brands of the constructors the given error
+ * was created by, from the most derived one.
+ *
+ * @param {Object} err
+ * @returns {Array} `{copy, name, code}` entries
+ * @api private
+ */
+
+function brands(err) {
+    var result = [];
+    for (var proto = Object.getPrototypeOf(err); proto; proto = Object.getPrototypeOf(proto)) {
+        if (Object.prototype.hasOwnProperty.call(proto, brand)) {
+            result.push(proto[brand]);
+        }
+    }
+    return result;
+}
 
 /*!
- * Module global to track if we should use stack traces.
+ * emitter of the events of every registry
  */
 
-var useStack = false;
+var hooks = new EventEmitter();
+
+/**
+ * Emit the given event for the given error to the
+ * listeners of its registry and to the global ones.
+ *
+ * @param {Object} state registry state
+ * @param {String} event `create` or `serialize`
+ * @param {Error} err
+ * @param {String} [format] the format rendered to
+ * @api private
+ */
+
+function emit(state, event, err, format) {
+    state.events.emit(event, err, format);
+    hooks.emit(event, err, format);
+}
 
 /**
  * Cache the given error constructor indexed by the
- * given name and code.
+ * given name and code in the given registry state.
+ * Every constructor defined is also kept in definition
+ * order, including the ones overwritten by duplicates.
  *
+ * @param state {Object} registry state
  * @param name {String} name
  * @param code {Number} code
  * @param err {Function} err
  * @api private
  */
 
-function cache(name, code, err) {
-    names[name] = err;
-    codes[code] = err;
+function cache(state, name, code, err) {
+    state.names[name] = err;
+    state.codes[code] = err;
+    state.defined.push(err);
 }
 
-/*!
- * next free error code
+/**
+ * Throw if the given name or code is already taken in
+ * a strict registry.
+ *
+ * @param state {Object} registry state
+ * @param name {String} name
+ * @param code {Number} code
+ * @api private
+ */
+
+function checkUnique(state, name, code) {
+    if (!state.strict) return;
+    if (state.names[name]) {
+        throw Error(util.format("Error name '%s' is already defined", name));
+    }
+    if (code && state.codes[code]) {
+        throw Error(util.format("Error code %s is already used by %s", code, state.codes[code].prototype.name));
+    }
+}
+
+/**
+ * Return the reservation of the registry containing the
+ * given code, if any.
+ *
+ * @param state {Object} registry state
+ * @param code {Number} code
+ * @returns {Object} `{owner, range}`
+ * @api private
  */
 
-var freeCode = 600;
+function reservation(state, code) {
+    return state.reserved.filter(function(entry) {
+        return code >= entry.range[0] && code <= entry.range[1];
+    })[0];
+}
 
 /**
- * Return the next free error code.
+ * Return the next free error code of the given range,
+ * or of the registry's code range skipping the ranges
+ * reserved by `reserve()`.
  *
+ * @param state {Object} registry state
+ * @param range {Array} [range] `[min, max]`
  * @returns {Number}
  * @api private
  */
 
-function nextCode() {
-    while(codes[freeCode]) {
-        freeCode += 1;
+function nextCode(state, range) {
+    var code = range ? range[0] : state.freeCode,
+        max = range ? range[1] : state.codeRange[1],
+        reserved;
+    while (state.codes[code] || (!range && (reserved = reservation(state, code)))) {
+        code = reserved ? reserved.range[1] + 1 : code + 1;
+        reserved = undefined;
     }
-    return freeCode;
+    if (code > max) {
+        range = range || state.codeRange;
+        throw RangeError(util.format("No free error code left in range %s-%s", range[0], range[1]));
+    }
+    if (!range) {
+        state.freeCode = code;
+    }
+    return code;
 }
 
 /**
- * Returns the error constructor by the given code or
- * name.
+ * Return a regular expression matching the codes of
+ * the given pattern. A `*` segment matches any one
+ * segment, a trailing `*` any number of segments.
  *
- * Examples:
+ * @param pattern {String} e.g. `DB.*`
+ * @returns {RegExp}
+ * @api private
+ */
+
+function codePattern(pattern) {
+    var segments = pattern.split('.');
+    return new RegExp('^' + segments.map(function(segment, i) {
+        if (segment === '*') {
+            return i === segments.length - 1 ? '.+' : '[^.]+';
+        }
+        return segment.replace(/[\\^$*+?.()|[\]{}]/g, '\\$&');
+    }).join('\\.') + '$');
+}
+
+/**
+ * Create a new, isolated error registry. Constructors
+ * created through the registry's `define()` are only
+ * indexed by that registry, so libraries can define
+ * errors without clobbering each other's names and
+ * codes in `find()`.
  *
- *  errors.find(404);
- *  // => Http404Error
+ * The `codeRange` option is the `[min, max]` range
+ * generated error codes are picked from. It defaults
+ * to `[600, Infinity]`. Modules can reserve their own
+ * range with `reserve()` to keep their codes stable
+ * regardless of the order modules are loaded in.
  *
- *  errors.find(500);
- *  // => Http500Error
+ * The `prefix` option is prepended to the `name` of
+ * every error defined in the registry. The constructor
+ * is still exposed in its scope by the plain name, and
+ * `find()` accepts both forms.
  *
- *  errors.find('Http401Error');
- *  // => http401Error
+ * The `scope` option is the default namespace for
+ * constructors defined in the registry. It defaults
+ * to the registry itself.
  *
+ * The `strict` option makes `define()` throw on
+ * duplicate names or codes rather than overwriting
+ * the registered constructor.
  *
- * @param {String|Number} err
- * @returns {Function}
+ * Examples:
+ *
+ *  var registry = errors.createRegistry({codeRange: [1000, 1999], prefix: 'Billing'});
+ *  registry.define({name: 'ValidationError'});
+ *  var err = new registry.ValidationError();
+ *  err.name;
+ *  // => 'BillingValidationError'
+ *  registry.find('ValidationError') === registry.find(1000);
+ *  // => true
+ *
+ * @param {Object} [options] The options.
+ * @param {Array} options.codeRange The range of generated error codes.
+ * @param {String} options.prefix The error name prefix.
+ * @param {Object} options.scope The default scope.
+ * @param {Boolean} options.strict Whether to throw on duplicates.
+ * @return {Object} the registry
  * @api public
  */
 
-exports.find = function(err) {
-    return (typeof err == 'number') ? codes[err] : names[err];
+var createRegistry = exports.createRegistry = function(options) {
+    options = options || {};
+    var registry = {}
+        , range = options.codeRange || [600, Infinity]
+        , state = {
+            codes: Object.create(null),
+            names: Object.create(null),
+            defined: [],
+            reserved: [],
+            events: new EventEmitter(),
+            useStack: false,
+            strict: !!options.strict,
+            locales: Object.create(null),
+            prefix: options.prefix || '',
+            scope: options.scope || registry,
+            codeRange: range,
+            freeCode: range[0]
+        };
+
+    /**
+     * Create a new error constructor indexed by this
+     * registry.
+     *
+     * @see defineError
+     * @api public
+     */
+
+    registry.define = function(/*parent, name, options*/) {
+        return defineError.apply(state, arguments);
+    };
+
+    /**
+     * Returns the error constructor by the given code or
+     * name.
+     *
+     * Examples:
+     *
+     *  errors.find(404);
+     *  // => NotFoundError
+     *
+     *  errors.find(500);
+     *  // => InternalError
+     *
+     *  errors.find('ForbiddenError');
+     *  // => ForbiddenError
+     *
+     *  errors.find('DB.CONN.TIMEOUT');
+     *  // => DBConnectionTimeoutError
+     *
+     * Given a pattern of string codes containing `*`
+     * segments, all the constructors with a matching code
+     * are returned, ordered by code. A `*` matches any
+     * segment, a trailing `*` any number of segments.
+     *
+     *  errors.find('DB.*');
+     *  // => [DBConnectionTimeoutError, DBQueryError]
+     *
+     * @param {String|Number} err
+     * @returns {Function|Array}
+     * @api public
+     */
+
+    registry.find = function(err) {
+        if (typeof err == 'number') {
+            return state.codes[err];
+        }
+        if (typeof err == 'string' && err.indexOf('*') >= 0) {
+            var regexp = codePattern(err);
+            return Object.keys(state.codes).filter(function(code) {
+                return regexp.test(code) && state.codes[code].code === code;
+            }).sort().map(function(code) {
+                return state.codes[code];
+            });
+        }
+        return state.names[err] || state.names[state.prefix + err] || state.codes[err];
+    };
+
+    /**
+     * Reserve the given range of error codes for the
+     * given owner (e.g. a module) and return a `define()`
+     * function generating codes from that range only.
+     * Codes generated from a reserved range depend on the
+     * order of the owner's definitions only, not on the
+     * order modules are loaded in. Other definitions never
+     * get a generated code from a reserved range.
+     *
+     * Reserving a range overlapping the range of another
+     * owner or codes already in use throws a `RangeError`.
+     * Reserving the same range again for the same owner
+     * is allowed.
+     *
+     * Examples:
+     *
+     *  var define = errors.reserve('billing', [7000, 7099]);
+     *  define({name: 'CardDeclinedError'});
+     *  errors.CardDeclinedError.code;
+     *  // => 7000
+     *
+     * @param {String} owner The owner of the range.
+     * @param {Array} range The `[min, max]` range.
+     * @return {Function} the `define()` function of the range
+     * @api public
+     */
+
+    registry.reserve = function(owner, range) {
+        var existing = state.reserved.filter(function(entry) {
+            return entry.range[0] <= range[1] && range[0] <= entry.range[1];
+        })[0];
+        if (existing && (existing.owner !== owner || existing.range[0] !== range[0] || existing.range[1] !== range[1])) {
+            throw RangeError(util.format("Error code range %s-%s overlaps the range %s-%s of '%s'",
+                range[0], range[1], existing.range[0], existing.range[1], existing.owner));
+        }
+        if (!existing) {
+            var used = Object.keys(state.codes).filter(function(code) {
+                return code >= range[0] && code <= range[1];
+            });
+            if (used.length) {
+                throw RangeError(util.format("Error code range %s-%s is already in use by %s",
+                    range[0], range[1], state.codes[used[0]].prototype.name));
+            }
+            state.reserved.push({owner: owner, range: range});
+        }
+
+        return function(/*parent, name, options*/) {
+            var args = Array.prototype.slice.call(arguments),
+                index = -1;
+            args.forEach(function(arg, i) {
+                if (index < 0 && arg && typeof arg === 'object') index = i;
+            });
+            var options = {};
+            Object.keys(index < 0 ? {} : args[index]).forEach(function(key) {
+                options[key] = args[index][key];
+            });
+            options.codeRange = range;
+            args[index < 0 ? args.length : index] = options;
+            return defineError.apply(state, args);
+        };
+    };
+
+    /**
+     * Determines if the given `Error` object was created
+     * by a constructor of this registry.
+     *
+     * @param {Object} err The error to check
+     * @returns {Boolean}
+     * @api public
+     */
+
+    registry.isError = function(err) {
+        var ErrorClass = exports.isError(err) && state.names[err.name];
+        return !!ErrorClass && err instanceof ErrorClass;
+    };
+
+    /**
+     * Get/set if stack traces should be included in
+     * `toString()`, `toJSON()`, etc. for errors of this
+     * registry.
+     *
+     * @param {Boolean} [useStacks]
+     * @api public
+     */
+
+    registry.stacks = function(useStacks) {
+        if (useStacks == null || useStacks == undefined) {
+            return state.useStack;
+        }
+        state.useStack = useStacks;
+    };
+
+    /**
+     * Get/set if `define()` should throw on duplicate
+     * names or codes in this registry.
+     *
+     * @param {Boolean} [strict]
+     * @api public
+     */
+
+    registry.strict = function(strict) {
+        if (strict == null || strict == undefined) {
+            return state.strict;
+        }
+        state.strict = strict;
+    };
+
+    /**
+     * Register a catalog of translated texts for the
+     * given locale. The catalog is keyed by error name
+     * or code and supplies the `message`, `explanation`
+     * and `response` used by `localize()` in place of
+     * the defaults given to `define()`. Registering the
+     * same locale again merges the catalogs.
+     *
+     * Examples:
+     *
+     *  errors.addLocale('de', {
+     *      NotFoundError: {message: 'Nicht gefunden'},
+     *      409: {message: 'Konflikt', response: 'Bitte erneut versuchen'}
+     *  });
+     *
+     * @param {String} locale The locale, e.g. `de` or `pt-BR`.
+     * @param {Object} catalog The translations.
+     * @api public
+     */
+
+    registry.addLocale = function(locale, catalog) {
+        locale = locale.toLowerCase();
+        var entries = state.locales[locale] = state.locales[locale] || Object.create(null);
+        Object.keys(catalog).forEach(function(key) {
+            entries[key] = catalog[key];
+        });
+    };
+
+    /**
+     * Add a listener for the given event of the errors
+     * of this registry:
+     *
+     *  - `create` is emitted with `(err)` when a new error
+     *    is created by a constructor of the registry
+     *  - `serialize` is emitted with `(err, format)` when
+     *    an error is rendered by `toJSON()` (`json`) or
+     *    `toString()` (`string`)
+     *
+     * Examples:
+     *
+     *  registry.on('create', function(err) {
+     *      statsd.increment('errors.' + err.code);
+     *  });
+     *
+     * @param {String} event `create` or `serialize`.
+     * @param {Function} listener
+     * @return {Object} the registry
+     * @api public
+     */
+
+    registry.on = function(event, listener) {
+        state.events.on(event, listener);
+        return registry;
+    };
+
+    /**
+     * Remove a listener added by `on()`.
+     *
+     * @param {String} event
+     * @param {Function} listener
+     * @return {Object} the registry
+     * @api public
+     */
+
+    registry.off = function(event, listener) {
+        state.events.removeListener(event, listener);
+        return registry;
+    };
+
+    /**
+     * Return the catalog of the errors defined in this
+     * registry, i.e. the `name`, `code`, `status`,
+     * `parent` and default `message`, `explanation`
+     * and `response` of every error, ordered by code,
+     * and their inheritance `tree`.
+     *
+     * Names and codes defined more than once (which
+     * non strict registries silently overwrite) are
+     * listed in `duplicates`.
+     *
+     * Given a `format` option (`markdown` or `html`)
+     * the catalog is rendered as a reference page.
+     *
+     * Examples:
+     *
+     *  errors.catalog().errors[0];
+     *  // => {name: 'BadRequestError', code: 400, status: 400, parent: 'HttpError', ...}
+     *
+     *  fs.writeFileSync('ERRORS.md', errors.catalog({format: 'markdown'}));
+     *
+     * @param {Object} [options] The options.
+     * @param {String} options.format `markdown` or `html` to render the catalog.
+     * @param {String} options.title The title of the rendered page.
+     * @return {Object|String}
+     * @api public
+     */
+
+    registry.catalog = function(options) {
+        options = options || {};
+        var result = catalog.build(state.names, state.defined);
+        return options.format ? catalog.render(result, options.format, options) : result;
+    };
+
+    return registry;
 };
 
+/**
+ * Return the catalog entry for the given error from the
+ * first of the given locales having one. A region
+ * specific locale (e.g. `de-CH`) falls back to its
+ * language (`de`). Locales are case insensitive.
+ *
+ * @param {Object} state registry state
+ * @param {Error} err
+ * @param {String|Array} locales
+ * @returns {Object}
+ * @api private
+ */
+
+function translation(state, err, locales) {
+    locales = [].concat(locales || []);
+    for (var i = 0; i < locales.length; i++) {
+        var locale = String(locales[i]).toLowerCase(),
+            candidates = [locale, locale.split('-')[0]];
+        for (var j = 0; j < candidates.length; j++) {
+            var catalog = state.locales[candidates[j]],
+                entry = catalog && (catalog[err.name] || catalog[err.code]);
+            if (entry) {
+                return entry;
+            }
+        }
+    }
+    return undefined;
+}
+
+/*!
+ * the default registry backing the module level
+ * `define()`, `find()`, `stacks()` and `strict()`
+ */
+
+var registry = createRegistry({scope: exports});
+
 /**
  * Determines if the given `Error` object was created using
- * the errors framework.
+ * the errors framework, by any copy of this module or in
+ * any `vm` context. Objects merely having the properties
+ * of an error are not.
  *
  * @param {Object} err The error to check
  * @returns {Boolean}
@@ -112,9 +573,147 @@ exports.find = function(err) {
  */
 
 exports.isError = function isError(err) {
-    return err && err.hasOwnProperty('explanation') && err.hasOwnProperty('code');
+    return !!err && typeof err === 'object' && !!err[brand];
+};
+
+/**
+ * Return whether the given value is an error, native or
+ * created by `define()`, also when it comes from another
+ * `vm` context where `instanceof Error` fails.
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ * @api private
+ */
+
+function isAnyError(value) {
+    return value instanceof Error || util.types.isNativeError(value) || exports.isError(value);
+}
+
+/**
+ * Determines if the given error is an instance of the
+ * given error constructor, or of the constructor with
+ * the given name or code in the default registry, or of
+ * one of the constructors matching the given code
+ * pattern (see `find()`). Errors
+ * created by another copy of this module or in another
+ * `vm` context match by name (see `instanceof`).
+ *
+ * Without a constructor it tells whether the given
+ * error was created by `define()`.
+ *
+ * Examples:
+ *
+ *  errors.is(err, errors.NotFoundError);
+ *  errors.is(err, 'NotFoundError');
+ *  errors.is(err, 404);
+ *  errors.is(err, 'DB.*');
+ *
+ * @param {Object} err The error to check
+ * @param {Function|String|Number} [ErrorClass] The constructor, its name, code or code pattern.
+ * @returns {Boolean}
+ * @api public
+ */
+
+exports.is = function(err, ErrorClass) {
+    if (!exports.isError(err)) {
+        return false;
+    }
+    if (ErrorClass == null) {
+        return true;
+    }
+    if (typeof ErrorClass !== 'function') {
+        ErrorClass = exports.find(ErrorClass);
+    }
+    if (Array.isArray(ErrorClass)) {
+        return ErrorClass.some(function(Class) {
+            return err instanceof Class;
+        });
+    }
+    return !!ErrorClass && err instanceof ErrorClass;
 };
 
+/**
+ * Define the lazily formatted `stack` of the given error
+ * from the given captured stack trace: the stack trace
+ * for the error followed by the stack traces of its
+ * causal chain. The trace is kept on the getter so that
+ * copies of the error can format their own stack.
+ *
+ * @param {Error} err
+ * @param {Object} trace The object given to `Error.captureStackTrace()`.
+ * @api private
+ */
+
+function defineStack(err, trace) {
+    var formattedStack;
+
+    function get() {
+        if (!formattedStack) {
+            formattedStack = trace.stack.replace(/^.*/, this.name + ': ' + this.message);
+            if (this.cause) {
+                formattedStack += "\ncaused by: " + (this.cause.stack || String(this.cause));
+            }
+        }
+        return formattedStack;
+    }
+
+    get.trace = trace;
+    Object.defineProperty(err, 'stack', {
+        configurable: true,
+        enumerable: false,
+        get: get
+    });
+}
+
+/**
+ * Fill the `{key}` placeholders of the given template
+ * from `params`. Unknown placeholders are kept as is.
+ *
+ * Examples:
+ *
+ *  render('User {id} not found in {table}', {id: 7, table: 'users'});
+ *  // => 'User 7 not found in users'
+ *
+ * @param {String} template
+ * @param {Object} params
+ * @returns {String}
+ * @api private
+ */
+
+function render(template, params) {
+    if (typeof template !== 'string' || !params) {
+        return template;
+    }
+    return template.replace(/\{(\w+)\}/g, function(match, key) {
+        return params.hasOwnProperty(key) ? String(params[key]) : match;
+    });
+}
+
+/**
+ * Collect the options referenced by placeholders of
+ * the given templates.
+ *
+ * @param {Array} templates
+ * @param {Object} options
+ * @returns {Object} the parameters or `undefined` if none are referenced
+ * @api private
+ */
+
+function templateParams(templates, options) {
+    var params;
+    templates.forEach(function(template) {
+        (typeof template === 'string' && template.match(/\{\w+\}/g) || []).forEach(function(match) {
+            var key = match.slice(1, -1);
+            if (options.hasOwnProperty(key) && key !== 'status') {
+                params = params || {};
+                params[key] = options[key];
+            }
+        });
+    });
+    return params;
+}
+
 function forDefinedVal() {
     for (var i = 0; i < arguments.length; i++) {
         if (arguments[i] !== undefined) {
@@ -139,8 +738,9 @@ function forDefinedVal() {
  *
  * The `scope` option can be used to change the default
  * namespace to define the constructor in. If unspecified
- * it defaults to the `exports` object of this module
- * (i.e. `errors.exports`).
+ * it defaults to the scope of the registry, which is the
+ * `exports` object of this module (i.e. `errors.exports`)
+ * for the default registry.
  *
  * The `parent` option specifies the parent to inherit
  * from. If unspecified it defaults to `Error`.
@@ -149,12 +749,63 @@ function forDefinedVal() {
  * `defaultResponse` define the default text to use
  * for the new errors `message`, `explanation` and
  * `response` respectively. These values can be
- * overridden at construction time.
+ * overridden at construction time. They may contain
+ * `{key}` placeholders which are filled from the
+ * options passed to the constructor. The parameters
+ * used are copied into the error's `params` property and
+ * the unrendered message kept in `template` (and in the
+ * `template` property of the constructor). Texts passed
+ * at construction time are only filled in from an
+ * explicit `params` option, since they may carry request
+ * input.
+ *
+ * The `headers` option specifies HTTP headers to send
+ * along with the error, e.g. a `WWW-Authenticate`
+ * challenge. It may be a function which builds them
+ * from the options passed to the constructor. Headers
+ * passed in a `headers` option at construction time
+ * take precedence.
+ *
+ * The `redact` option lists property names (or dotted
+ * paths like `data.user.password`) whose values are
+ * redacted from `toString()`, `toJSON()` and the other
+ * outputs of the error, in addition to the global
+ * `redaction()` configuration. Subclasses inherit it.
+ *
+ * The `public` and `internal` options list the fields
+ * rendered by `toJSON({audience: 'public'})`. Extra
+ * properties are public by default, the `explanation`,
+ * `response`, `stack` and `cause` are internal unless
+ * listed as public. Fields listed as public are kept
+ * even when a server error collapses to a generic
+ * message. Subclasses inherit both lists.
+ *
+ * The `retryable` and `transient` options tell whether
+ * errors of the new class are worth retrying (see
+ * `retry()`) and whether their condition is temporary.
+ * The `retryAfter` option is the delay in seconds to
+ * wait before retrying. They default to the values of
+ * the parent and can be overridden at construction
+ * time.
+ *
+ * The `init` option is a function called with the new
+ * error as `this` and the constructor options, before
+ * the extra options are exposed as properties. Any
+ * property it defines is not overwritten by an option
+ * of the same name.
  *
  * The `code` specifies the error code for the new
  * error. If unspecified it defaults to a generated
- * error number which is greater than or equal to
- * 600.
+ * error number taken from the `codeRange` option or
+ * else from the registry's code range, which is greater
+ * than or equal to 600 by default. Codes may also be
+ * hierarchical strings like `DB.CONN.TIMEOUT`, which
+ * `find()` looks up by pattern (e.g. `DB.*`). The
+ * `status` of errors whose code is not an HTTP status
+ * defaults to 500.
+ *
+ * This function is invoked with the registry state as
+ * `this` by the `define()` method of a registry.
  *
  * Examples:
  *
@@ -211,6 +862,30 @@ function forDefinedVal() {
  *  sre.response;
  *  // => 'Specify a different port or socket and retry the operation'
  *
+ *  // message templates
+ *  errors.define({
+ *      name: 'RecordNotFoundError',
+ *      defaultMessage: 'Record {id} not found in {table}'
+ *  });
+ *  var rnf = new errors.RecordNotFoundError({id: 42, table: 'users'});
+ *  rnf.message;
+ *  // => 'Record 42 not found in users'
+ *  rnf.params;
+ *  // => {id: 42, table: 'users'}
+ *  errors.RecordNotFoundError.template;
+ *  // => 'Record {id} not found in {table}'
+ *
+ *  // HTTP headers
+ *  errors.define({
+ *      name: 'RateLimitError',
+ *      status: 429,
+ *      headers: function(options) {
+ *          return {'Retry-After': String(options.retryAfter)};
+ *      }
+ *  });
+ *  new errors.RateLimitError({retryAfter: 30}).headers;
+ *  // => {'Retry-After': '30'}
+ *
  * @param {Function} [parent] The parent error class.
  * @param {String} [name] The error class name.
  * @param {Object} [options] The options.
@@ -218,15 +893,24 @@ function forDefinedVal() {
  * @param {Object} options.scope The scope (i.e. namespace).
  * @param {Function} options.parent The parent to inherit from.
  * @param {String} options.defaultMessage The default message.
- * @param {Number} options.code The error code.
- * @param {Number} options.status The status code.
+ * @param {Number|String} options.code The error code.
+ * @param {Array} options.codeRange The `[min, max]` range to generate the code from.
+ * @param {Number|Function} options.status The status code, or a function returning it for the constructor options.
  * @param {String} options.defaultExplanation The default explanation.
  * @param {String} options.defaultResponse The default operator response.
+ * @param {Function|Object} options.headers The HTTP headers, or a function returning them for the constructor options.
+ * @param {Boolean} options.retryable Whether the errors are worth retrying.
+ * @param {Boolean} options.transient Whether the condition of the errors is temporary.
+ * @param {Number} options.retryAfter The delay in seconds before retrying.
+ * @param {Function} options.init Called with `(options)` to initialize new instances.
+ * @param {Array} options.redact The property names or dotted paths to redact from the output.
+ * @param {Array} options.public The fields rendered for the public audience.
+ * @param {Array} options.internal The fields only rendered for the internal audience.
  * @return {Function} the newly created constructor
  * @api public
  */
 
-var define = exports.define = function(/*parent, name, options*/) {
+function defineError(/*parent, name, options*/) {
     var parent, name, options;
     for (var i = 0; i < arguments.length; i++) {
         var arg = arguments[i];
@@ -241,16 +925,19 @@ var define = exports.define = function(/*parent, name, options*/) {
     }
     options = options || {};
     parent = parent || options.parent || Error;
-    var scope = options.scope || exports
-        , defaultMessage = options.defaultMessage || 'An unexpected ' + options.name + ' occurred.'
-        , className = name || options.name
-        , errorCode = options.code || nextCode()
+    var state = this
+        , scope = options.scope || state.scope
+        , scopeName = name || options.name
+        , className = state.prefix + scopeName
+        , defaultMessage = options.defaultMessage || 'An unexpected ' + className + ' occurred.'
         , statusCode = options.status
         , defaultExplanation = options.defaultExplanation
         , defaultResponse = options.defaultResponse
-        , formattedStack
-        , stack = {};
+        , classHeaders = options.headers
+        , init = options.init;
 
+    checkUnique(state, className, options.code);
+    var errorCode = options.code || nextCode(state, options.codeRange);
 
     /**
      * Create a new instance of the exception which accepts
@@ -271,6 +958,20 @@ var define = exports.define = function(/*parent, name, options*/) {
      * 'stack', 'name' and 'code' cannot be set via the options
      * style object in this form.
      *
+     * The options style object may carry a `cause` which
+     * must be an `Error` (native or created by `define()`).
+     * The cause is kept on the new error and reported by
+     * `toString()`, `toJSON()` and the `stack` getter.
+     *
+     * Likewise an `errors` option holding a list of errors
+     * makes the new error an aggregate of these errors,
+     * which are kept in its `errors` property and rendered
+     * by `toString()` and `toJSON()`.
+     *
+     * A `stackStart` function option omits the frames
+     * above its call (itself included) from the stack
+     * trace, e.g. the frames of a guard function.
+     *
      * @param {String} [msg] The message to use for the error.
      * @param {String} [expl] The explanation to use for the error.
      * @param {String} [fix] The response to use for the error.
@@ -278,7 +979,7 @@ var define = exports.define = function(/*parent, name, options*/) {
      * @return {Object} The newly created error.
      */
 
-    var ErrorClass = scope[className] = function(msg, expl, fix, options) {
+    var ErrorClass = scope[scopeName] = function(msg, expl, fix, options) {
         if (!(this instanceof ErrorClass)) return new ErrorClass(msg, expl, fix, options);
         if (msg && typeof msg === 'object') {
             options = msg;
@@ -296,34 +997,86 @@ var define = exports.define = function(/*parent, name, options*/) {
             throw Error("Properties 'stack', 'name' or 'code' cannot be overridden");
         }
 
-        options['status'] = options['status'] || statusCode;
-        msg = forDefinedVal(msg,  options.msg,  options.message,  defaultMessage);
-        expl = forDefinedVal(expl,  options.expl,  options.explanation,  defaultExplanation);
-        fix = forDefinedVal(fix,  options.fix,  options.response,  defaultResponse);
+        if (options.cause != null && !isAnyError(options.cause)) {
+            throw TypeError("Property 'cause' must be an Error");
+        }
+
+        if (options.errors != null && !Array.isArray(options.errors)) {
+            throw TypeError("Property 'errors' must be an Array");
+        }
+        if (options.errors) {
+            // aggregate errors, not raw failure values like strings
+            options.errors = options.errors.map(function(err) {
+                return isAnyError(err) ? err : exports.from(err, {message: true});
+            });
+        }
+
+        options['status'] = options['status']
+            || (typeof statusCode === 'function' ? statusCode(options) : statusCode);
+        var explicit = options.params != null,
+            givenMsg = forDefinedVal(msg,  options.msg,  options.message),
+            givenExpl = options['explanation'] || forDefinedVal(expl,  options.expl,  options.explanation),
+            givenFix = options['response'] || forDefinedVal(fix,  options.fix,  options.response);
+        msg = forDefinedVal(givenMsg, defaultMessage);
+        expl = forDefinedVal(givenExpl, defaultExplanation);
+        fix = forDefinedVal(givenFix, defaultResponse);
+
+        // the texts given here may carry request input, so
+        // only the templates given to define() are filled in
+        // from the options, other texts need explicit params
+        var template = msg,
+            params = options.params || templateParams([
+                givenMsg === undefined && msg,
+                givenExpl === undefined && expl,
+                givenFix === undefined && fix
+            ], options);
+        if (params) {
+            options.params = params;
+            msg = explicit || givenMsg === undefined ? render(msg, params) : msg;
+            expl = explicit || givenExpl === undefined ? render(expl, params) : expl;
+            fix = explicit || givenFix === undefined ? render(fix, params) : fix;
+        }
 
         parent.call(this, msg, expl, fix, options);
 
         // hack around the defineProperty for stack so
         // we can delay stack formatting until access
         // for performance reasons
-        Error.captureStackTrace(stack, ErrorClass);
+        var stack = {};
+        Error.captureStackTrace(stack, typeof options.stackStart === 'function' ? options.stackStart : ErrorClass);
+        defineStack(this, stack);
 
         /**
-         * Return the stack tracks for the error.
+         * Return the error which caused this error.
          *
-         * @return {String}
+         * @return {Error}
          * @api public
          */
-        Object.defineProperty(this, 'stack', {
-            configurable: true,
-            enumerable: false,
-            get: function() {
-                if (!formattedStack) {
-                    formattedStack = stack.stack.replace('[object Object]', 'Error: ' + this.message);
-                }
-                return formattedStack;
-            }
-        });
+
+        if (options.cause != null) {
+            Object.defineProperty(this, 'cause', {
+                value: options.cause,
+                configurable: true,
+                enumerable: false,
+                writable: true
+            });
+        }
+
+        /**
+         * Return the errors aggregated by this error.
+         *
+         * @return {Array}
+         * @api public
+         */
+
+        if (options.errors != null) {
+            Object.defineProperty(this, 'errors', {
+                value: options.errors,
+                configurable: true,
+                enumerable: false,
+                writable: true
+            });
+        }
 
         /**
          * Return the explanation for this error.
@@ -333,7 +1086,7 @@ var define = exports.define = function(/*parent, name, options*/) {
          */
 
         Object.defineProperty(this, 'explanation', {
-            value: options['explanation'] || expl,
+            value: expl,
             configurable: true,
             enumerable: true
         });
@@ -346,7 +1099,7 @@ var define = exports.define = function(/*parent, name, options*/) {
          */
 
         Object.defineProperty(this, 'response', {
-            value: options['response'] || fix,
+            value: fix,
             configurable: true,
             enumerable: true
         });
@@ -381,6 +1134,25 @@ var define = exports.define = function(/*parent, name, options*/) {
             enumerable: true
         });
 
+        /**
+         * HTTP headers to send along with this error.
+         *
+         * @return {Object}
+         * @api public
+         */
+
+        Object.defineProperty(this, 'headers', {
+            value: [
+                options['headers'],
+                typeof classHeaders === 'function' ? classHeaders(options) : classHeaders,
+                this.headers
+            ].reduce(function(headers, src) {
+                return mixin(src, headers, true);
+            }, {}),
+            configurable: true,
+            enumerable: false
+        });
+
         /**
          * Name of this error.
          *
@@ -407,9 +1179,43 @@ var define = exports.define = function(/*parent, name, options*/) {
             enumerable: true
         });
 
+        /**
+         * Message template of this error, i.e. the message
+         * before its placeholders were filled in.
+         *
+         * @return {String}
+         * @api public
+         */
+
+        Object.defineProperty(this, 'template', {
+            value: template,
+            configurable: true,
+            enumerable: false
+        });
+
+        /**
+         * Parameters filled into the message, explanation
+         * and response templates of this error.
+         *
+         * @return {Object}
+         * @api public
+         */
+
+        if (params) {
+            Object.defineProperty(this, 'params', {
+                value: params,
+                configurable: true,
+                enumerable: true
+            });
+        }
+
+        if (init) {
+            init.call(this, options);
+        }
+
         // expose extra conf options as properties
         for (var key in options) {
-            if (!this.hasOwnProperty(key)) {
+            if (!this.hasOwnProperty(key) && key !== 'stackStart') {
                 Object.defineProperty(this, key, {
                     value: options[key],
                     configurable: true,
@@ -418,6 +1224,10 @@ var define = exports.define = function(/*parent, name, options*/) {
             }
         }
 
+        // parent constructors leave the event to the class instantiated
+        if (this.constructor === ErrorClass) {
+            emit(state, 'create', this);
+        }
     };
 
     util.inherits(ErrorClass, parent);
@@ -461,7 +1271,6 @@ var define = exports.define = function(/*parent, name, options*/) {
          }
          */
 
-        // TODO externalization
         var msg = util.format("%s: %s\nCode: %s", this.name, this.message, this.code);
         if (this.explanation) {
             msg += "\nExplanation: " + this.explanation;
@@ -472,17 +1281,35 @@ var define = exports.define = function(/*parent, name, options*/) {
 
         function isExtra(key) {
             return ['name', 'message', 'status', 'code',
-                'response', 'explanation', 'stack'].indexOf(key) < 0;
+                'response', 'explanation', 'stack', 'params'].indexOf(key) < 0;
         }
 
         // extra properties
+        var extras = {};
         Object.keys(this).filter(isExtra).forEach(function(key) {
-            msg += util.format("\n%s: %s", key, this[key]);
+            extras[key] = this[key];
+        }, this);
+        extras = redact.apply(extras, ErrorClass.redact);
+        Object.keys(extras).forEach(function(key) {
+            if (extras[key] == null) return;
+            msg += util.format("\n%s: %s", key, extras[key]);
+        });
+
+        // aggregated errors
+        (this.errors || []).forEach(function(err, i) {
+            msg += util.format("\nerror %d of %d: %s", i + 1, this.errors.length,
+                String(err).replace(/\n/g, '\n    '));
         }, this);
 
-        if (useStack) {
+        // causal chain
+        for (var cause = this.cause; cause; cause = cause.cause) {
+            msg += util.format("\ncaused by: %s: %s", cause.name, cause.message);
+        }
+
+        if (state.useStack) {
             msg += "\n" + this.stack;
         }
+        emit(state, 'serialize', this, 'string');
         return msg;
     };
 
@@ -491,27 +1318,365 @@ var define = exports.define = function(/*parent, name, options*/) {
      * which includes it's `name`, `code`, `message`
      * and `status`. The JSON object returned will
      * also include the `explanation` and `response`
-     * if defined for this instance.
+     * if defined for this instance, and the nested JSON
+     * representation of its `cause` and aggregated
+     * `errors`.
+     *
+     * When called with a `locale` option the JSON is
+     * rendered from the localized version of this error.
+     *
+     * The `audience` option selects the fields rendered:
+     * `internal` renders every detail including the stack
+     * trace, `public` only the fields meant for clients
+     * (see the `public` and `internal` options of
+     * `define()`). Server and developer errors rendered
+     * for the `public` collapse to their `status` and a
+     * generic message.
      *
      * This method can be redefined for customized
      * behavior of `JSON.stringify()`.
      *
+     * @param {Object} [options] The options.
+     * @param {String|Array} options.locale The locale(s) to render in.
+     * @param {String} options.audience `public` or `internal`.
+     * @return {Object}
+     * @api public
+     */
+
+    ErrorClass.prototype.toJSON = function(options) {
+        options = (options && typeof options === 'object') ? options : {};
+        if (options.locale) {
+            return this.localize(options.locale).toJSON({audience: options.audience});
+        }
+        var audience = options.audience,
+            useStack = audience === 'internal' || (audience !== 'public' && state.useStack),
+            json = useStack
+                ? mixin(this, {stack: this.stack}, true)
+                : mixin(this, {}, true);
+        if (this.cause) {
+            json.cause = errorToJSON(this.cause, useStack, audience);
+        }
+        if (this.errors) {
+            json.errors = this.errors.map(function(err) {
+                return errorToJSON(err, useStack, audience);
+            });
+        }
+        if (audience === 'public') {
+            json = publicJSON(this, json, ErrorClass.exposure);
+        }
+        emit(state, 'serialize', this, 'json');
+        return redact.apply(json, ErrorClass.redact);
+    };
+
+    /**
+     * Return the RFC 9457 `application/problem+json`
+     * representation of this error.
+     *
+     * Examples:
+     *
+     *  errors.problemBase('https://errors.example.com/');
+     *  errors.notFound('No such user').toProblem();
+     *  // => {type: 'https://errors.example.com/404', title: 'Not Found',
+     *  //     status: 404, detail: 'No such user'}
+     *
+     * @param {Object} [options] The options.
+     * @param {String} options.baseURI The base URI of the `type`.
+     * @param {String} options.instance The URI of this occurrence.
+     * @param {String} options.audience `public` or `internal`, see `toJSON()`.
+     * @return {Object}
+     * @api public
+     */
+
+    ErrorClass.prototype.toProblem = function(options) {
+        return problem.toProblem(this, options);
+    };
+
+    /**
+     * Return the gRPC status of this error, i.e. the
+     * status `code` mapped from its HTTP status, its
+     * message as `details` and its extra properties as
+     * trailer `metadata`.
+     *
+     * Examples:
+     *
+     *  callback(errors.notFound('No such user').toGrpcStatus());
+     *  // => {code: 5, details: 'No such user', metadata: {'eros-name': 'NotFoundError', 'eros-code': '404'}}
+     *
+     * @param {Object} [options] The options.
+     * @param {String} options.audience `public` or `internal`, see `toJSON()`.
+     * @return {Object}
+     * @api public
+     */
+
+    ErrorClass.prototype.toGrpcStatus = function(options) {
+        return grpc.toStatus(this, options);
+    };
+
+    /**
+     * Return the JSON-RPC 2.0 `error` member of this
+     * error, with its `code`, `message` and `data`.
+     *
+     * Examples:
+     *
+     *  res.json({jsonrpc: '2.0', id: req.body.id, error: errors.notFound('No such user').toJsonRpc()});
+     *  // error: {code: -32000, message: 'No such user', data: {name: 'NotFoundError', code: 404, status: 404}}
+     *
+     * @param {Object} [options] The options.
+     * @param {String} options.audience `public` or `internal`, see `toJSON()`.
+     * @return {Object}
+     * @api public
+     */
+
+    ErrorClass.prototype.toJsonRpc = function(options) {
+        return jsonrpc.toJsonRpc(this, options);
+    };
+
+    /**
+     * Return the structured log representation of this
+     * error, with its stack trace split into frames and
+     * its causal chain, for line based log pipelines.
+     *
+     * Examples:
+     *
+     *  errors.notFound('No such user', {id: 7}).toLogObject({flat: true});
+     *  // => {name: 'NotFoundError', code: 404, status: 404, message: 'No such user',
+     *  //     'data.id': 7, stack: ['Object.<anonymous> (/app/users.js:12:11)', ...]}
+     *
+     * @param {Object} [options] The options.
+     * @param {Boolean} options.flat Whether to flatten nested objects into dotted keys.
+     * @param {Boolean} options.stack `false` to leave out stack traces.
      * @return {Object}
      * @api public
      */
 
-    ErrorClass.prototype.toJSON = function() {
-        // TODO externalization
-        return useStack
-            ? mixin(this, {stack: this.stack}, true)
-            : mixin(this, {}, true);
+    ErrorClass.prototype.toLogObject = function(options) {
+        return log.toLogObject(this, options);
+    };
+
+    /**
+     * Return a stable hash of this error for grouping and
+     * deduplication, built from its name, code, normalized
+     * message template and top application stack frames.
+     *
+     * Examples:
+     *
+     *  errors.notFound('No user 7').fingerprint() === errors.notFound('No user 8').fingerprint();
+     *  // => true when thrown from the same place
+     *
+     * @param {Object} [options] Rules overriding the `fingerprinting()` ones.
+     * @return {String}
+     * @api public
+     */
+
+    ErrorClass.prototype.fingerprint = function(options) {
+        return fingerprint.fingerprint(this, options);
+    };
+
+    /**
+     * Return a translated copy of this error using the
+     * catalogs registered by `addLocale()`. Only the
+     * `message`, `explanation` and `response` still set
+     * to the defaults given to `define()` are replaced,
+     * texts passed at construction time are kept. The
+     * translated texts may use the same placeholders as
+     * the templates given to `define()`.
+     *
+     * When given a list of locales the first one with a
+     * catalog entry for this error is used. The error
+     * itself is returned if there is no such entry.
+     *
+     * Examples:
+     *
+     *  errors.notFound().localize('de').message;
+     *  // => 'Nicht gefunden'
+     *
+     * @param {String|Array} locale The locale(s) to translate to.
+     * @return {Error}
+     * @api public
+     */
+
+    ErrorClass.prototype.localize = function(locale) {
+        var entry = translation(state, this, locale);
+        if (!entry) {
+            return this;
+        }
+        var localized = Object.create(Object.getPrototypeOf(this)),
+            defaults = {message: defaultMessage, explanation: defaultExplanation, response: defaultResponse};
+        Object.getOwnPropertyNames(this).forEach(function(key) {
+            var descriptor = Object.getOwnPropertyDescriptor(this, key);
+            if (key === 'stack' && descriptor.get && descriptor.get.trace) {
+                // format the stack of the copy with its own message
+                defineStack(localized, descriptor.get.trace);
+            } else {
+                Object.defineProperty(localized, key, descriptor);
+            }
+        }, this);
+        Object.keys(defaults).forEach(function(key) {
+            if (entry[key] != null && (this[key] == null || this[key] === render(defaults[key], this.params))) {
+                Object.defineProperty(localized, key, {
+                    value: render(entry[key], this.params),
+                    configurable: true,
+                    enumerable: true
+                });
+            }
+        }, this);
+        return localized;
+    };
+
+    /**
+     * The default message template of this error class.
+     *
+     * @api public
+     */
+
+    ErrorClass.template = defaultMessage;
+
+    /**
+     * The error code of this error class.
+     *
+     * @api public
+     */
+
+    ErrorClass.code = errorCode;
+
+    /**
+     * The HTTP status of this error class, unless it
+     * depends on the constructor options.
+     *
+     * @api public
+     */
+
+    ErrorClass.status = typeof statusCode === 'function'
+        ? undefined
+        : statusCode || (http.STATUS_CODES[errorCode] ? errorCode : 500);
+
+    /**
+     * The default explanation and operator response of
+     * this error class.
+     *
+     * @api public
+     */
+
+    ErrorClass.defaultExplanation = defaultExplanation;
+    ErrorClass.defaultResponse = defaultResponse;
+
+    /**
+     * Whether errors of this class are worth retrying,
+     * whether their condition is transient and the delay
+     * (in seconds or as a `Date`) to wait before retrying.
+     * Inherited from the parent class unless given to
+     * `define()`, instances override them by options of
+     * the same name.
+     *
+     * @api public
+     */
+
+    ['retryable', 'transient', 'retryAfter'].forEach(function(key) {
+        if (options.hasOwnProperty(key)) {
+            Object.defineProperty(ErrorClass.prototype, key, {
+                value: options[key],
+                configurable: true,
+                enumerable: false,
+                writable: true
+            });
+        }
+    });
+
+    /**
+     * The properties redacted from the output of this
+     * error class, including the ones of its parents.
+     *
+     * @api public
+     */
+
+    ErrorClass.redact = (parent.redact || []).concat(options.redact || []);
+
+    /**
+     * The fields marked `public` or `internal` for this
+     * error class, including the ones of its parents.
+     *
+     * @api public
+     */
+
+    ErrorClass.exposure = {
+        public: ((parent.exposure || {}).public || []).concat(options['public'] || []),
+        internal: ((parent.exposure || {}).internal || []).concat(options.internal || [])
     };
 
-    cache(className, errorCode, ErrorClass);
+    /*!
+     * Brand the prototype with the name and, if given,
+     * the code of the class, so `instanceof` can match
+     * errors of other copies of this module or realms.
+     */
+
+    Object.defineProperty(ErrorClass.prototype, brand, {
+        value: {copy: copy, name: className, code: options.code}
+    });
+
+    /**
+     * Tell whether the given object is an instance of this
+     * class. Errors created by another copy of this module
+     * or in another `vm` context are instances if they
+     * were created by a class of the same name or of the
+     * same explicitly defined code.
+     *
+     * @param {Object} obj
+     * @return {Boolean}
+     * @api public
+     */
+
+    Object.defineProperty(ErrorClass, Symbol.hasInstance, {
+        value: function(obj) {
+            if (Function.prototype[Symbol.hasInstance].call(this, obj)) {
+                return true;
+            }
+            var own = Object.prototype.hasOwnProperty.call(this.prototype, brand) && this.prototype[brand];
+            if (!own || !exports.isError(obj)) {
+                return false;
+            }
+            var chain = brands(obj);
+            return chain.length > 0 && chain[0].copy !== copy && chain.some(function(info) {
+                return info.name === own.name || (own.code != null && info.code === own.code);
+            });
+        },
+        configurable: true
+    });
+
+    cache(state, className, errorCode, ErrorClass);
 
     return ErrorClass;
-};
+}
+
+
+/**
+ * Create a new error constructor in the default
+ * registry.
+ *
+ * @see defineError
+ * @api public
+ */
+
+var define = exports.define = registry.define;
+
+/**
+ * Returns the error constructor of the default registry
+ * by the given code or name.
+ *
+ * @see createRegistry
+ * @api public
+ */
+
+exports.find = registry.find;
+
+/**
+ * Reserve a range of error codes of the default
+ * registry for the given owner.
+ *
+ * @see createRegistry
+ * @api public
+ */
 
+exports.reserve = registry.reserve;
 
 /**
  * Get/set the module default behavior in terms of if
@@ -528,79 +1693,495 @@ var define = exports.define = function(/*parent, name, options*/) {
  * @api public
  */
 
-exports.stacks = function(useStacks) {
-    if (useStacks == null || useStacks == undefined) {
-        return useStack;
-    }
-    useStack = useStacks;
-};
+exports.stacks = registry.stacks;
 
 /**
- * Perform a top level mixing between and source
- * and destination object optionally skipping
- * undefined/null properties.
+ * Get/set if the default registry throws on duplicate
+ * error names or codes instead of overwriting them in
+ * `find()`. Disabled by default.
  *
  * Examples:
  *
- *  mixin({a: 'A'}, {b: 'B});
- *  // => {a: 'A', b: 'B'}
- *
- *  mixin({'a': null}, {b: 'B}, true);
- *  // => {b: 'B'}
+ *  errors.strict(true);
+ *  errors.define({name: 'NotFoundError'});
+ *  // => Error: Error name 'NotFoundError' is already defined
  *
- * @param {Object} src
- * @param {Object} dest
- * @param {Boolean} skipEmpty
- * @returns {Object}
- * @api private
+ * @param {Boolean} [strict]
+ * @api public
  */
 
-function mixin(src, dest, skipEmpty) {
-    // TODO: refactor into common module
-    dest = dest || {};
-    src = src || {};
-    Object.keys(src).forEach(function(key) {
-        if (!dest[key] && (skipEmpty && src[key] != null && src[key] != undefined)) {
-            dest[key] = src[key];
-        }
-    });
-    return dest;
-}
+exports.strict = registry.strict;
 
 /**
- * Base `Error` for web app HTTP based
- * exceptions -- all 4xx and 5xx wrappered
- * errors are instances of `HttpError`.
+ * Register a catalog of translated texts for the given
+ * locale in the default registry.
+ *
+ * @see createRegistry
+ * @api public
  */
 
-var HttpError = exports.HttpError = define('HttpError');
+exports.addLocale = registry.addLocale;
 
-exports.BadRequestError = define(HttpError, 'BadRequestError', { code: 400 });
-exports.badRequest = function (message, data) {
-    return exports.BadRequestError(message, { data: data });
-};
+/**
+ * Add a listener for the given event of the errors of
+ * every registry, see `createRegistry()` for the events.
+ *
+ * Examples:
+ *
+ *  errors.on('serialize', function(err, format) {
+ *      audit.write(err.name, format);
+ *  });
+ *
+ * @param {String} event `create` or `serialize`.
+ * @param {Function} listener
+ * @return {Object} the module
+ * @api public
+ */
 
-exports.UnauthorizedError = define(HttpError, 'UnauthorizedError', { code: 400 });
-exports.unauthorized = function (message) {
-    return exports.UnauthorizedError(message);
+exports.on = function(event, listener) {
+    hooks.on(event, listener);
+    return exports;
 };
 
-exports.ForbiddenError = define(HttpError, 'ForbiddenError', { code: 403 });
-exports.forbidden = function (message, data) {
-    return exports.ForbiddenError(message, { data: data });
-};
+/**
+ * Remove a listener added by `on()`.
+ *
+ * @param {String} event
+ * @param {Function} listener
+ * @return {Object} the module
+ * @api public
+ */
 
-exports.NotFoundError = define(HttpError, 'NotFoundError', { code: 404 });
-exports.notFound = function (message, data) {
-    return exports.NotFoundError(message, { data: data });
+exports.off = function(event, listener) {
+    hooks.removeListener(event, listener);
+    return exports;
 };
 
-exports.MethodNotAllowedError = define(HttpError, 'MethodNotAllowedError', { code: 405 });
-exports.methodNotAllowed = function (message, data) {
-    return exports.MethodNotAllowedError(message, { data: data });
-};
+/**
+ * Counter of the errors created by every registry, by
+ * `name`, `code` and `status`, which can be dumped in
+ * the Prometheus text format.
+ *
+ * @see ./metrics.js
+ */
 
-exports.NotAcceptableError = define(HttpError, 'NotAcceptableError', { code: 406 });
+exports.metrics = metrics;
+hooks.on('create', metrics.record);
+
+/**
+ * Return the catalog of the errors defined in the
+ * default registry.
+ *
+ * @see createRegistry
+ * @api public
+ */
+
+exports.catalog = registry.catalog;
+
+/**
+ * Serializers for structured loggers: `err` for the
+ * `err` field of pino and bunyan records, `ecs` for
+ * the Elastic Common Schema `error.*` fields. Both
+ * accept native errors too.
+ *
+ * Examples:
+ *
+ *  var logger = pino({serializers: {err: errors.serializers.err}});
+ *
+ * @api public
+ */
+
+exports.serializers = {
+    err: log.err,
+    ecs: log.ecs
+};
+
+/**
+ * Render the given catalog (see `catalog()`) as a
+ * `markdown` or `html` reference page.
+ *
+ * Examples:
+ *
+ *  errors.renderCatalog(registry.catalog(), 'html', {title: 'Billing errors'});
+ *
+ * @param {Object} catalog
+ * @param {String} format `markdown` or `html`.
+ * @param {Object} [options] The options.
+ * @param {String} options.title The page title.
+ * @return {String}
+ * @api public
+ */
+
+exports.renderCatalog = catalog.render;
+
+/**
+ * Perform a top level mixing between and source
+ * and destination object optionally skipping
+ * undefined/null properties.
+ *
+ * Examples:
+ *
+ *  mixin({a: 'A'}, {b: 'B});
+ *  // => {a: 'A', b: 'B'}
+ *
+ *  mixin({'a': null}, {b: 'B}, true);
+ *  // => {b: 'B'}
+ *
+ * @param {Object} src
+ * @param {Object} dest
+ * @param {Boolean} skipEmpty
+ * @returns {Object}
+ * @api private
+ */
+
+function mixin(src, dest, skipEmpty) {
+    // TODO: refactor into common module
+    dest = dest || {};
+    src = src || {};
+    Object.keys(src).forEach(function(key) {
+        if (!dest[key] && (skipEmpty && src[key] != null && src[key] != undefined)) {
+            dest[key] = src[key];
+        }
+    });
+    return dest;
+}
+
+/**
+ * Return the JSON representation of the given cause
+ * or aggregated error. Errors created by `define()`
+ * serialize themselves, native errors are reduced to
+ * their `name`, `message`, `code` (if any) and, when
+ * stacks are enabled, `stack`. Other values become the
+ * message of an `Error`.
+ *
+ * @param {Error} cause
+ * @param {Boolean} useStack
+ * @param {String} [audience]
+ * @returns {Object}
+ * @api private
+ */
+
+function errorToJSON(cause, useStack, audience) {
+    if (cause == null || typeof cause !== 'object') {
+        return {name: 'Error', message: String(cause)};
+    }
+    if (typeof cause.toJSON === 'function') {
+        return cause.toJSON(audience ? {audience: audience} : undefined);
+    }
+    var json = mixin(cause, {name: cause.name, message: cause.message}, true);
+    if (useStack) {
+        json.stack = cause.stack;
+    }
+    if (cause.cause) {
+        json.cause = errorToJSON(cause.cause, useStack, audience);
+    }
+    return json;
+}
+
+/*!
+ * fields only rendered for the internal audience
+ * unless marked public
+ */
+
+var internalFields = ['explanation', 'response', 'stack', 'cause', 'isDeveloperError'];
+
+/**
+ * Reduce the given JSON representation of `err` to the
+ * fields meant for the public. Server errors (5xx) and
+ * developer errors collapse to their `status`, a generic
+ * message and the fields explicitly marked public.
+ *
+ * @param {Error} err
+ * @param {Object} json
+ * @param {Object} exposure The `public` and `internal` fields of the error class.
+ * @returns {Object}
+ * @api private
+ */
+
+function publicJSON(err, json, exposure) {
+    var result = {};
+    if (err.status >= 500 || err.isDeveloperError) {
+        result.status = json.status;
+        result.message = http.STATUS_CODES[json.status] || 'An unexpected error occurred.';
+        exposure.public.forEach(function(key) {
+            if (json.hasOwnProperty(key)) {
+                result[key] = json[key];
+            }
+        });
+        return result;
+    }
+    Object.keys(json).forEach(function(key) {
+        var internal = exposure.internal.indexOf(key) >= 0
+            || (internalFields.indexOf(key) >= 0 && exposure.public.indexOf(key) < 0);
+        if (!internal) {
+            result[key] = json[key];
+        }
+    });
+    return result;
+}
+
+/**
+ * Wrap the given error into a new instance of
+ * `ErrorClass` which keeps `err` as its `cause`.
+ * `ErrorClass` defaults to `InternalError`.
+ *
+ * Examples:
+ *
+ *  db.query(sql, function(err, rows) {
+ *      if (err) return cb(errors.wrap(err, errors.InternalError, 'Could not load user'));
+ *  });
+ *
+ *  errors.wrap(err, 'Could not load user');
+ *  // => InternalError caused by err
+ *
+ * @param {Error} err The error to wrap.
+ * @param {Function} [ErrorClass] The error constructor to use.
+ * @param {String|Object} [msg] The message or options for the new error.
+ * @returns {Error}
+ * @api public
+ */
+
+exports.wrap = function(err, ErrorClass, msg) {
+    if (typeof ErrorClass !== 'function') {
+        msg = ErrorClass;
+        ErrorClass = exports.InternalError;
+    }
+    var options = (msg && typeof msg === 'object') ? mixin(msg, {}, true) : {message: msg};
+    options.cause = err;
+    return new ErrorClass(options);
+};
+
+/**
+ * Return the given value if it is a constructor created
+ * by `define()`, e.g. not the array of a code pattern.
+ *
+ * @param {*} value
+ * @returns {Function}
+ * @api private
+ */
+
+function constructorOf(value) {
+    return typeof value === 'function' && value.prototype && value.prototype[brand] ? value : undefined;
+}
+
+/**
+ * Return the error constructor to rehydrate the given
+ * JSON representation with. Lookup is done by `name`,
+ * then by `code`, then by `status` and finally by the
+ * status class (i.e. `400` or `500`) falling back to
+ * `HttpError`.
+ *
+ * @param {Object} obj
+ * @returns {Function}
+ * @api private
+ */
+
+function lookup(obj) {
+    var status = obj.status;
+    return constructorOf(exports.find(obj.name))
+        || constructorOf(exports.find(obj.code))
+        || constructorOf(exports.find(status))
+        || (status >= 400 && status < 600 && constructorOf(exports.find(status - status % 100)))
+        || exports.HttpError;
+}
+
+/**
+ * Rebuild a native `Error` from its JSON representation
+ * as produced for the `cause` of `toJSON()`.
+ *
+ * @param {Object} obj
+ * @returns {Error}
+ * @api private
+ */
+
+function nativeFromJSON(obj) {
+    var err = new exports.sys[obj.name](obj.message);
+    Object.keys(obj).forEach(function(key) {
+        if (key === 'cause') {
+            err.cause = exports.fromJSON(obj.cause);
+        } else if (key !== 'name' && key !== 'message') {
+            err[key] = obj[key];
+        }
+    });
+    return err;
+}
+
+/**
+ * Rebuild an error from the JSON representation returned
+ * by `toJSON()` (or its string form). The constructor is
+ * looked up in the registry by name, code or status so that
+ * `instanceof` checks keep working on the receiving side.
+ * The `explanation`, `response`, `status`, extra properties,
+ * `cause`, aggregated `errors` and `stack` (when present)
+ * are preserved.
+ *
+ * Examples:
+ *
+ *  var err = errors.fromJSON(JSON.stringify(errors.notFound('No such user')));
+ *  err instanceof errors.NotFoundError;
+ *  // => true
+ *
+ *  errors.fromJSON({name: 'UnknownError', code: 4711, status: 409});
+ *  // => ConflictError
+ *
+ * @param {Object|String} obj
+ * @returns {Error}
+ * @api public
+ */
+
+exports.fromJSON = function(obj) {
+    if (typeof obj === 'string') {
+        obj = JSON.parse(obj);
+    }
+    if (obj instanceof Error) {
+        return obj;
+    }
+    if (!exports.find(obj.name) && exports.sys.hasOwnProperty(obj.name)) {
+        return nativeFromJSON(obj);
+    }
+
+    var ErrorClass = lookup(obj),
+        options = {};
+    Object.keys(obj).forEach(function(key) {
+        if (['name', 'code', 'stack', 'cause', 'errors'].indexOf(key) < 0) {
+            options[key] = obj[key];
+        }
+    });
+    if (obj.cause) {
+        options.cause = exports.fromJSON(obj.cause);
+    }
+    if (obj.errors) {
+        options.errors = obj.errors.map(exports.fromJSON);
+    }
+
+    var err = new ErrorClass(options);
+    if (obj.code != null && obj.code !== err.code) {
+        Object.defineProperty(err, 'code', {
+            value: obj.code,
+            configurable: true,
+            enumerable: true
+        });
+    }
+    if (obj.stack) {
+        Object.defineProperty(err, 'stack', {
+            value: obj.stack,
+            configurable: true,
+            enumerable: false,
+            writable: true
+        });
+    }
+    return err;
+};
+
+/**
+ * `JSON.parse()` reviver which rehydrates every nested
+ * object that looks like the output of `toJSON()`: a
+ * `message` string, a numeric `status`, a `code` and a
+ * `name` which is either registered or ends in `Error`.
+ *
+ * Examples:
+ *
+ *  var msg = JSON.parse(data, errors.reviver);
+ *  msg.error instanceof errors.HttpError;
+ *  // => true
+ *
+ * @param {String} key
+ * @param {*} value
+ * @returns {*}
+ * @api public
+ */
+
+exports.reviver = function(key, value) {
+    if (value && typeof value === 'object' && typeof value.name === 'string'
+        && typeof value.message === 'string' && typeof value.status === 'number' && value.code != null
+        && (/Error$/.test(value.name) || exports.find(value.name))) {
+        return exports.fromJSON(value);
+    }
+    return value;
+};
+
+/**
+ * Build the `WWW-Authenticate` header from the
+ * `challenge` option.
+ *
+ * @param {Object} options
+ * @returns {Object}
+ * @api private
+ */
+
+function challengeHeaders(options) {
+    if (options.challenge != null) {
+        return {'WWW-Authenticate': options.challenge};
+    }
+}
+
+/**
+ * Build the `Allow` header from the `allow` option
+ * which is a method or list of methods.
+ *
+ * @param {Object} options
+ * @returns {Object}
+ * @api private
+ */
+
+function allowHeaders(options) {
+    if (options.allow != null) {
+        return {'Allow': [].concat(options.allow).join(', ')};
+    }
+}
+
+/**
+ * Build the `Retry-After` header from the `retryAfter`
+ * option which is a delay in seconds or a `Date`.
+ *
+ * @param {Object} options
+ * @returns {Object}
+ * @api private
+ */
+
+function retryAfterHeaders(options) {
+    var retryAfter = options.retryAfter;
+    if (retryAfter != null) {
+        return {'Retry-After': retryAfter instanceof Date
+            ? retryAfter.toUTCString()
+            : String(typeof retryAfter === 'number' ? Math.ceil(retryAfter) : retryAfter)};
+    }
+}
+
+/**
+ * Base `Error` for web app HTTP based
+ * exceptions -- all 4xx and 5xx wrappered
+ * errors are instances of `HttpError`.
+ */
+
+var HttpError = exports.HttpError = define('HttpError', { retryable: false, transient: false });
+
+exports.BadRequestError = define(HttpError, 'BadRequestError', { code: 400 });
+exports.badRequest = function (message, data) {
+    return exports.BadRequestError(message, { data: data });
+};
+
+exports.UnauthorizedError = define(HttpError, 'UnauthorizedError', { code: 401, headers: challengeHeaders });
+exports.unauthorized = function (message, challenge) {
+    return exports.UnauthorizedError(message, { challenge: challenge });
+};
+
+exports.ForbiddenError = define(HttpError, 'ForbiddenError', { code: 403 });
+exports.forbidden = function (message, data) {
+    return exports.ForbiddenError(message, { data: data });
+};
+
+exports.NotFoundError = define(HttpError, 'NotFoundError', { code: 404 });
+exports.notFound = function (message, data) {
+    return exports.NotFoundError(message, { data: data });
+};
+
+exports.MethodNotAllowedError = define(HttpError, 'MethodNotAllowedError', { code: 405, headers: allowHeaders });
+exports.methodNotAllowed = function (message, data, allow) {
+    return exports.MethodNotAllowedError(message, { data: data, allow: allow });
+};
+
+exports.NotAcceptableError = define(HttpError, 'NotAcceptableError', { code: 406 });
 exports.notAcceptable = function (message, data) {
     return exports.NotAcceptableError(message, { data: data });
 };
@@ -610,7 +2191,7 @@ exports.proxyAuthRequired = function (message, data) {
     return exports.ProxyAuthRequiredError(message, { data: data });
 };
 
-exports.ClientTimeoutError = define(HttpError, 'ClientTimeoutError', { code: 408 });
+exports.ClientTimeoutError = define(HttpError, 'ClientTimeoutError', { code: 408, retryable: true, transient: true });
 exports.clientTimeout = function (message, data) {
     return exports.ClientTimeoutError(message, { data: data });
 };
@@ -660,6 +2241,56 @@ exports.expectationFailed = function (message, data) {
     return exports.ExpectationFailedError(message, { data: data });
 };
 
+exports.ImATeapotError = define(HttpError, 'ImATeapotError', { code: 418 });
+exports.imATeapot = function (message, data) {
+    return exports.ImATeapotError(message, { data: data });
+};
+
+exports.UnprocessableEntityError = define(HttpError, 'UnprocessableEntityError', { code: 422 });
+exports.unprocessableEntity = function (message, data) {
+    return exports.UnprocessableEntityError(message, { data: data });
+};
+
+exports.LockedError = define(HttpError, 'LockedError', { code: 423 });
+exports.locked = function (message, data) {
+    return exports.LockedError(message, { data: data });
+};
+
+exports.FailedDependencyError = define(HttpError, 'FailedDependencyError', { code: 424 });
+exports.failedDependency = function (message, data) {
+    return exports.FailedDependencyError(message, { data: data });
+};
+
+exports.TooEarlyError = define(HttpError, 'TooEarlyError', { code: 425 });
+exports.tooEarly = function (message, data) {
+    return exports.TooEarlyError(message, { data: data });
+};
+
+exports.UpgradeRequiredError = define(HttpError, 'UpgradeRequiredError', { code: 426 });
+exports.upgradeRequired = function (message, data) {
+    return exports.UpgradeRequiredError(message, { data: data });
+};
+
+exports.PreconditionRequiredError = define(HttpError, 'PreconditionRequiredError', { code: 428 });
+exports.preconditionRequired = function (message, data) {
+    return exports.PreconditionRequiredError(message, { data: data });
+};
+
+exports.TooManyRequestsError = define(HttpError, 'TooManyRequestsError', { code: 429, retryable: true, transient: true, headers: retryAfterHeaders });
+exports.tooManyRequests = function (message, data, retryAfter) {
+    return exports.TooManyRequestsError(message, { data: data, retryAfter: retryAfter });
+};
+
+exports.HeaderFieldsTooLargeError = define(HttpError, 'HeaderFieldsTooLargeError', { code: 431 });
+exports.headerFieldsTooLarge = function (message, data) {
+    return exports.HeaderFieldsTooLargeError(message, { data: data });
+};
+
+exports.UnavailableForLegalReasonsError = define(HttpError, 'UnavailableForLegalReasonsError', { code: 451 });
+exports.unavailableForLegalReasons = function (message, data) {
+    return exports.UnavailableForLegalReasonsError(message, { data: data });
+};
+
 // 5xx Server Errors
 var InternalError = exports.InternalError = define(HttpError, 'InternalError', { code: 500 });
 exports.internal = function (message, data) {
@@ -671,17 +2302,17 @@ exports.notImplemented = function (message, data) {
     return exports.NotImplementedError(message, { data: data });
 };
 
-exports.BadGatewayError = define(InternalError, 'BadGatewayError', { code: 502 });
+exports.BadGatewayError = define(InternalError, 'BadGatewayError', { code: 502, retryable: true, transient: true });
 exports.badGateway = function (message, data) {
     return exports.BadGatewayError(message, { data: data });
 };
 
-exports.ServerTimeoutError = define(InternalError, 'ServerTimeoutError', { code: 503 });
-exports.serverTimeout = function (message, data) {
-    return exports.ServerTimeoutError(message, { data: data });
+exports.ServerTimeoutError = define(InternalError, 'ServerTimeoutError', { code: 503, retryable: true, transient: true, headers: retryAfterHeaders });
+exports.serverTimeout = function (message, data, retryAfter) {
+    return exports.ServerTimeoutError(message, { data: data, retryAfter: retryAfter });
 };
 
-exports.GatewayTimeoutError = define(InternalError, 'GatewayTimeoutError', { code: 504 });
+exports.GatewayTimeoutError = define(InternalError, 'GatewayTimeoutError', { code: 504, retryable: true, transient: true });
 exports.gatewayTimeout = function (message, data) {
     return exports.GatewayTimeoutError(message, { data: data });
 };
@@ -691,4 +2322,332 @@ exports.badImplementation = function (message, data) {
     var err = exports.BadImplementationError(message, { data: data });
     err.isDeveloperError = true;
     return err;
-};
\ No newline at end of file
+};
+
+exports.VariantAlsoNegotiatesError = define(InternalError, 'VariantAlsoNegotiatesError', { code: 506 });
+exports.variantAlsoNegotiates = function (message, data) {
+    return exports.VariantAlsoNegotiatesError(message, { data: data });
+};
+
+exports.InsufficientStorageError = define(InternalError, 'InsufficientStorageError', { code: 507 });
+exports.insufficientStorage = function (message, data) {
+    return exports.InsufficientStorageError(message, { data: data });
+};
+
+exports.LoopDetectedError = define(InternalError, 'LoopDetectedError', { code: 508 });
+exports.loopDetected = function (message, data) {
+    return exports.LoopDetectedError(message, { data: data });
+};
+
+exports.NotExtendedError = define(InternalError, 'NotExtendedError', { code: 510 });
+exports.notExtended = function (message, data) {
+    return exports.NotExtendedError(message, { data: data });
+};
+
+exports.NetworkAuthRequiredError = define(InternalError, 'NetworkAuthRequiredError', { code: 511 });
+exports.networkAuthRequired = function (message, data) {
+    return exports.NetworkAuthRequiredError(message, { data: data });
+};
+
+/**
+ * Aggregate of many errors, e.g. the failures of a
+ * batch import or of parallel calls. The aggregated
+ * errors are kept in the `errors` property and the
+ * `status` is derived from theirs by `MultiError.policy`.
+ * Its code is fixed below the HTTP statuses, so that it
+ * neither shifts the codes generated for errors defined
+ * by users nor is found by status.
+ *
+ * Examples:
+ *
+ *  var err = errors.multi([errors.notFound('No user 1'), errors.conflict('User 2 exists')]);
+ *  err.status;
+ *  // => 400
+ */
+
+exports.MultiError = define(HttpError, 'MultiError', {
+    code: 98,
+    defaultMessage: 'Multiple errors occurred.',
+    status: function (options) {
+        return exports.MultiError.policy((options.errors || []).map(function (err) {
+            return err.status || 500;
+        }));
+    }
+});
+exports.multi = function (errors, message) {
+    return exports.MultiError(message, { errors: errors });
+};
+
+/**
+ * Derive the status of a `MultiError` from the statuses
+ * of its errors: the common status if all errors share
+ * one, `400` if all of them are client errors, else
+ * `500`. Can be replaced to change the policy.
+ *
+ * @param {Array} statuses
+ * @returns {Number}
+ * @api public
+ */
+
+exports.MultiError.policy = function (statuses) {
+    if (!statuses.length) {
+        return 500;
+    }
+    if (statuses.every(function (status) { return status === statuses[0]; })) {
+        return statuses[0];
+    }
+    if (statuses.every(function (status) { return status >= 400 && status < 500; })) {
+        return 400;
+    }
+    return 500;
+};
+
+/**
+ * Error for invalid input carrying field violations.
+ *
+ * @see ./validation.js
+ */
+
+exports.ValidationError = require('./validation');
+exports.invalid = function (violations, message) {
+    return exports.ValidationError.from(violations, message);
+};
+
+/**
+ * Errors of the codes predefined by JSON-RPC 2.0.
+ *
+ * Examples:
+ *
+ *  throw new errors.RpcMethodNotFoundError('No method ' + req.method);
+ */
+
+exports.RpcParseError = define(exports.BadRequestError, 'RpcParseError', { code: -32700, status: 400, defaultMessage: 'Parse error' });
+exports.RpcInvalidRequestError = define(exports.BadRequestError, 'RpcInvalidRequestError', { code: -32600, status: 400, defaultMessage: 'Invalid Request' });
+exports.RpcMethodNotFoundError = define(exports.NotFoundError, 'RpcMethodNotFoundError', { code: -32601, status: 404, defaultMessage: 'Method not found' });
+exports.RpcInvalidParamsError = define(exports.BadRequestError, 'RpcInvalidParamsError', { code: -32602, status: 400, defaultMessage: 'Invalid params' });
+exports.RpcInternalError = define(InternalError, 'RpcInternalError', { code: -32603, status: 500, defaultMessage: 'Internal error' });
+
+/**
+ * Rebuild an error from a JSON-RPC 2.0 `error` member.
+ *
+ * @see ./jsonrpc.js
+ */
+
+exports.fromJsonRpc = jsonrpc.fromJsonRpc;
+
+/**
+ * Error constructors indexed by the Node.js system
+ * error code (`err.code`) they are converted to by
+ * `from()`. Add entries to map further codes.
+ *
+ * Examples:
+ *
+ *  errors.codeMap.ERR_INVALID_URL = errors.BadRequestError;
+ */
+
+exports.codeMap = {
+    ENOENT: exports.NotFoundError,
+    ENOTDIR: exports.NotFoundError,
+    EACCES: exports.ForbiddenError,
+    EPERM: exports.ForbiddenError,
+    EEXIST: exports.ConflictError,
+    ENOTEMPTY: exports.ConflictError,
+    EISDIR: exports.BadRequestError,
+    ENAMETOOLONG: exports.UriTooLongError,
+    EMFILE: exports.ServerTimeoutError,
+    ENOSPC: exports.InsufficientStorageError,
+    EDQUOT: exports.InsufficientStorageError,
+    ECONNREFUSED: exports.BadGatewayError,
+    ECONNRESET: exports.BadGatewayError,
+    ECONNABORTED: exports.BadGatewayError,
+    EPIPE: exports.BadGatewayError,
+    EHOSTUNREACH: exports.BadGatewayError,
+    ENETUNREACH: exports.BadGatewayError,
+    ENOTFOUND: exports.BadGatewayError,
+    EAI_AGAIN: exports.BadGatewayError,
+    ETIMEDOUT: exports.GatewayTimeoutError,
+    ESOCKETTIMEDOUT: exports.GatewayTimeoutError
+};
+
+/**
+ * Error constructors indexed by the name of the native
+ * `errors.sys` constructor they are converted to by
+ * `from()`.
+ */
+
+exports.sysMap = {
+    Error: exports.InternalError,
+    EvalError: exports.BadImplementationError,
+    RangeError: exports.InternalError,
+    ReferenceError: exports.BadImplementationError,
+    SyntaxError: exports.BadRequestError,
+    TypeError: exports.BadImplementationError,
+    URIError: exports.BadRequestError
+};
+
+/**
+ * Return the error constructor `from()` converts the
+ * given error into, without creating an error. Errors
+ * created by `define()` return their own constructor.
+ *
+ * Examples:
+ *
+ *  errors.classOf(err).prototype.retryable;
+ *  // => true for ECONNRESET
+ *
+ * @param {*} err
+ * @returns {Function}
+ * @api public
+ */
+
+exports.classOf = function(err) {
+    if (exports.isError(err)) {
+        return err.constructor;
+    }
+    if (err == null || typeof err !== 'object') {
+        return exports.InternalError;
+    }
+    var status = err.status || err.statusCode;
+    return (typeof err.code === 'string' && constructorOf(exports.codeMap[err.code]))
+        || (status >= 400 && status < 600 && lookup({status: status}))
+        || constructorOf(exports.sysMap[err.name])
+        || exports.InternalError;
+};
+
+/**
+ * Convert the given error into an error created by
+ * `define()` which keeps the original as its `cause`.
+ * Errors already created by `define()` are returned
+ * as is, thrown primitives become the message of a
+ * native `Error` cause of an `InternalError`.
+ *
+ * The constructor is picked by the system error code
+ * (see `codeMap`), then by an HTTP `status` or
+ * `statusCode` property, then by the native constructor
+ * (see `sysMap`), falling back to `InternalError`.
+ *
+ * The new error has the default message of its class,
+ * since native messages may carry paths or other
+ * details not meant for clients. Pass the `message`
+ * option to copy the native message instead.
+ *
+ * Examples:
+ *
+ *  fs.readFile(path, function(err, data) {
+ *      if (err) return next(errors.from(err));
+ *  });
+ *  // => NotFoundError for ENOENT
+ *
+ * @param {Error} err The error to convert.
+ * @param {Object} [options] The options.
+ * @param {Boolean} options.message Whether to copy the message of the native error.
+ * @returns {Error}
+ * @api public
+ */
+
+exports.from = function(err, options) {
+    if (exports.isError(err)) {
+        return err;
+    }
+    if (err == null || typeof err !== 'object') {
+        err = Error(err == null ? undefined : String(err));
+    }
+    var msg = options && options.message ? err.message : undefined;
+    return exports.wrap(isAnyError(err) ? err : undefined, exports.classOf(err), msg);
+};
+
+/**
+ * Call a function until it succeeds, retrying its
+ * `retryable` errors.
+ *
+ * @see ./retry.js
+ */
+
+exports.retry = require('./retry');
+
+/**
+ * Throw an error unless a condition holds, with the
+ * `found()`, `authorized()` and `allowed()` shorthands.
+ *
+ * @see ./assert.js
+ */
+
+exports.assert = require('./assert');
+
+/**
+ * Create an error reporter shipping errors to console,
+ * file or HTTP transports.
+ *
+ * @see ./reporter.js
+ */
+
+exports.reporter = require('./reporter');
+
+/**
+ * Get/set the global configuration of properties
+ * redacted from the output of errors.
+ *
+ * @see ./redact.js
+ */
+
+exports.redaction = redact.configure;
+
+/**
+ * Get/set the global rules of error fingerprints.
+ *
+ * @see ./fingerprint.js
+ */
+
+exports.fingerprinting = fingerprint.configure;
+
+/**
+ * Return the fingerprint of any error, native or
+ * created by `define()`.
+ *
+ * @see ./fingerprint.js
+ */
+
+exports.fingerprint = fingerprint.fingerprint;
+
+/**
+ * Rebuild an error from an `application/problem+json`
+ * document.
+ *
+ * @see ./problem.js
+ */
+
+exports.fromProblem = problem.fromProblem;
+
+/**
+ * Rebuild an error from a gRPC status.
+ *
+ * @see ./grpc.js
+ */
+
+exports.fromGrpcStatus = grpc.fromStatus;
+
+/**
+ * The gRPC status codes and their mapping from HTTP
+ * statuses (`statusMap`) and onto error constructors
+ * (`classMap`).
+ *
+ * @see ./grpc.js
+ */
+
+exports.grpc = grpc;
+
+/**
+ * Get/set the base URI of problem types.
+ *
+ * @see ./problem.js
+ */
+
+exports.problemBase = problem.base;
+
+/**
+ * Connect / express error handling middleware.
+ *
+ * @see ./middleware.js
+ */
+
+exports.middleware = require('./middleware');
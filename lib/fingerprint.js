@@ -0,0 +1,154 @@
+"use strict";
+
+var path = require('path');
+var crypto = require('crypto');
+var log = require('./log');
+
+/*!
+ * global fingerprint rules
+ */
+
+var config = {
+    fields: ['name', 'code', 'template', 'frames'],
+    frames: 3,
+    ignore: [/node_modules/, /^node:/, /^internal[\/\\]/, __dirname + path.sep],
+    normalize: [
+        [/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '{uuid}'],
+        [/\b(?=[0-9a-f]*\d)[0-9a-f]{8,}\b/gi, '{hex}'],
+        [/\d+(\.\d+)?/g, '{n}']
+    ],
+    root: undefined
+};
+
+/**
+ * Get/set the global fingerprint rules. Set options are
+ * merged into the current rules.
+ *
+ * The `fields` option lists what takes part in the
+ * fingerprint: the class `name`, the `code`, the message
+ * `template` and the top application stack `frames`.
+ *
+ * The `frames` option is the number of stack frames
+ * used, 3 by default. Frames whose file matches an entry
+ * of the `ignore` option (strings contained in the path
+ * or regular expressions) are skipped, by default the
+ * frames of Node.js internals, of `node_modules` and of
+ * this module. Frames are reduced to their function and
+ * the file path relative to the `root` option (the
+ * current directory by default), so line numbers and
+ * install locations do not change the fingerprint.
+ *
+ * The `normalize` option lists `[RegExp, replacement]`
+ * pairs applied to the message template, by default
+ * replacing UUIDs, hexadecimal ids and numbers.
+ *
+ * Examples:
+ *
+ *  errors.fingerprinting({frames: 1, ignore: [/node_modules/, /lib\/db\//]});
+ *
+ * @param {Object} [options] The options.
+ * @return {Object} the rules when called without options
+ * @api public
+ */
+
+exports.configure = function(options) {
+    if (!options) {
+        return config;
+    }
+    Object.keys(options).forEach(function(key) {
+        config[key] = options[key];
+    });
+};
+
+/**
+ * Return whether the given file matches one of the
+ * given patterns.
+ *
+ * @param {String} file
+ * @param {Array} patterns
+ * @returns {Boolean}
+ * @api private
+ */
+
+function ignored(file, patterns) {
+    return patterns.some(function(pattern) {
+        return pattern instanceof RegExp ? pattern.test(file) : file.indexOf(pattern) >= 0;
+    });
+}
+
+/**
+ * Return the top application frames of the given stack
+ * trace as `function@file` strings.
+ *
+ * @param {String} stack
+ * @param {Object} rules
+ * @returns {Array}
+ * @api private
+ */
+
+function frames(stack, rules) {
+    var root = rules.root || process.cwd(),
+        result = [];
+    log.frames(stack).every(function(frame) {
+        if (result.length >= rules.frames) {
+            return false;
+        }
+        var match = /^(?:(.*?) \()?(.*?):\d+:\d+\)?$/.exec(frame),
+            file = match && match[2];
+        if (file && !ignored(file, rules.ignore)) {
+            if (path.isAbsolute(file)) {
+                file = path.relative(root, file).split(path.sep).join('/');
+            }
+            result.push((match[1] || '<anonymous>').replace(/^async /, '') + '@' + file);
+        }
+        return true;
+    });
+    return result;
+}
+
+/**
+ * Return the given message template with the variable
+ * parts replaced according to the `normalize` rules.
+ *
+ * @param {String} template
+ * @param {Array} normalize
+ * @returns {String}
+ * @api private
+ */
+
+function normalize(template, normalize) {
+    return normalize.reduce(function(str, rule) {
+        return str.replace(rule[0], rule[1]);
+    }, String(template == null ? '' : template));
+}
+
+/**
+ * Return a stable hash of the given error for grouping
+ * equal errors, built from the parts listed by the
+ * `fields` rule (see `configure()`). Errors created by
+ * `define()` use their message template, which is
+ * normalized like the messages of native errors.
+ *
+ * @param {Error} err
+ * @param {Object} [options] Rules overriding the global ones.
+ * @return {String} 32 hexadecimal characters
+ * @api public
+ */
+
+exports.fingerprint = function(err, options) {
+    var rules = {};
+    Object.keys(config).forEach(function(key) {
+        rules[key] = options && options[key] !== undefined ? options[key] : config[key];
+    });
+    var parts = rules.fields.map(function(field) {
+        switch (field) {
+            case 'template':
+                return normalize(err.template != null ? err.template : err.message, rules.normalize);
+            case 'frames':
+                return frames(err.stack, rules).join('\n');
+            default:
+                return err[field] == null ? '' : String(err[field]);
+        }
+    });
+    return crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex').slice(0, 32);
+};
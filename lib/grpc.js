@@ -0,0 +1,238 @@
+"use strict";
+
+var eros = require('./eros');
+var redact = require('./redact');
+
+/**
+ * The gRPC status codes indexed by name.
+ */
+
+exports.codes = {
+    OK: 0,
+    CANCELLED: 1,
+    UNKNOWN: 2,
+    INVALID_ARGUMENT: 3,
+    DEADLINE_EXCEEDED: 4,
+    NOT_FOUND: 5,
+    ALREADY_EXISTS: 6,
+    PERMISSION_DENIED: 7,
+    RESOURCE_EXHAUSTED: 8,
+    FAILED_PRECONDITION: 9,
+    ABORTED: 10,
+    OUT_OF_RANGE: 11,
+    UNIMPLEMENTED: 12,
+    INTERNAL: 13,
+    UNAVAILABLE: 14,
+    DATA_LOSS: 15,
+    UNAUTHENTICATED: 16
+};
+
+/**
+ * The names of the gRPC status codes `toStatus()` maps
+ * HTTP statuses onto. Other client errors map onto
+ * `INVALID_ARGUMENT`, other server errors onto `INTERNAL`.
+ */
+
+exports.statusMap = {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    404: 'NOT_FOUND',
+    405: 'UNIMPLEMENTED',
+    408: 'DEADLINE_EXCEEDED',
+    409: 'ALREADY_EXISTS',
+    410: 'NOT_FOUND',
+    412: 'FAILED_PRECONDITION',
+    413: 'RESOURCE_EXHAUSTED',
+    416: 'OUT_OF_RANGE',
+    422: 'INVALID_ARGUMENT',
+    423: 'FAILED_PRECONDITION',
+    424: 'FAILED_PRECONDITION',
+    428: 'FAILED_PRECONDITION',
+    429: 'RESOURCE_EXHAUSTED',
+    431: 'RESOURCE_EXHAUSTED',
+    500: 'INTERNAL',
+    501: 'UNIMPLEMENTED',
+    502: 'UNAVAILABLE',
+    503: 'UNAVAILABLE',
+    504: 'DEADLINE_EXCEEDED',
+    507: 'RESOURCE_EXHAUSTED'
+};
+
+/**
+ * The names of the error constructors `fromStatus()`
+ * maps gRPC status codes onto, indexed by code name.
+ */
+
+exports.classMap = {
+    CANCELLED: 'ClientTimeoutError',
+    UNKNOWN: 'InternalError',
+    INVALID_ARGUMENT: 'BadRequestError',
+    DEADLINE_EXCEEDED: 'GatewayTimeoutError',
+    NOT_FOUND: 'NotFoundError',
+    ALREADY_EXISTS: 'ConflictError',
+    PERMISSION_DENIED: 'ForbiddenError',
+    RESOURCE_EXHAUSTED: 'TooManyRequestsError',
+    FAILED_PRECONDITION: 'PreconditionFailedError',
+    ABORTED: 'ConflictError',
+    OUT_OF_RANGE: 'RangeNotSatisfiableError',
+    UNIMPLEMENTED: 'NotImplementedError',
+    INTERNAL: 'InternalError',
+    UNAVAILABLE: 'ServerTimeoutError',
+    DATA_LOSS: 'InternalError',
+    UNAUTHENTICATED: 'UnauthorizedError'
+};
+
+/*!
+ * error properties not sent as metadata
+ */
+
+var internals = ['name', 'message', 'status', 'code', 'explanation', 'response', 'stack', 'cause', 'errors'];
+
+/*!
+ * metadata keys of the eros name and code of an error
+ */
+
+var nameKey = 'eros-name', codeKey = 'eros-code';
+
+/**
+ * Return the name of the gRPC status code of the given
+ * HTTP status.
+ *
+ * @param {Number} status
+ * @returns {String}
+ * @api private
+ */
+
+function codeName(status) {
+    return exports.statusMap[status] || (status >= 400 && status < 500 ? 'INVALID_ARGUMENT' : 'INTERNAL');
+}
+
+/**
+ * Convert the given property name into a metadata key,
+ * e.g. `retryAfter` into `retry-after`.
+ *
+ * @param {String} key
+ * @returns {String}
+ * @api private
+ */
+
+function metadataKey(key) {
+    return key.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/_/g, '-').toLowerCase();
+}
+
+/**
+ * Convert the given metadata key into a property name,
+ * e.g. `retry-after` into `retryAfter`.
+ *
+ * @param {String} key
+ * @returns {String}
+ * @api private
+ */
+
+function propertyName(key) {
+    return key.replace(/-([a-z0-9])/g, function(match, c) {
+        return c.toUpperCase();
+    });
+}
+
+/**
+ * Return the gRPC status of the given error: the status
+ * `code` mapped from its HTTP status (see `statusMap`),
+ * its message as `details` and its extra properties as
+ * `metadata` (redacted, values other than strings in
+ * their JSON form). The error's name and code are sent
+ * as `eros-name` and `eros-code` metadata so the exact
+ * constructor can be restored by `fromStatus()`.
+ *
+ * @param {Error} err
+ * @param {Object} [options] The options.
+ * @param {String} options.audience Render the fields for the `public` or `internal` audience only.
+ * @return {Object} `{code, details, metadata}`
+ * @api public
+ */
+
+exports.toStatus = function(err, options) {
+    options = options || {};
+    var view = options.audience ? err.toJSON({audience: options.audience}) : err,
+        metadata = {},
+        extras = {};
+    Object.keys(view).forEach(function(key) {
+        if (internals.indexOf(key) < 0 && view[key] != null) {
+            extras[key] = view[key];
+        }
+    });
+    extras = redact.apply(extras, err.constructor.redact);
+    if (view.name) {
+        metadata[nameKey] = view.name;
+    }
+    if (view.code != null) {
+        metadata[codeKey] = String(view.code);
+    }
+    Object.keys(extras).forEach(function(key) {
+        var value = extras[key];
+        metadata[metadataKey(key)] = typeof value === 'string' ? value : JSON.stringify(value);
+    });
+    return {
+        code: exports.codes[codeName(view.status)],
+        details: view.message,
+        metadata: metadata
+    };
+};
+
+/**
+ * Rebuild an error from the given gRPC status, e.g. the
+ * error of a failed call. The constructor is taken from
+ * the `eros-name` and `eros-code` metadata when present,
+ * else from the status code (see `classMap`). Other
+ * metadata become extra properties.
+ *
+ * The `code` may be a number or a name, the `metadata`
+ * a plain object or a grpc-js `Metadata` object.
+ *
+ * Examples:
+ *
+ *  client.getUser({id: 7}, function(err, user) {
+ *      if (err) return next(errors.fromGrpcStatus(err));
+ *  });
+ *
+ * @param {Object} status `{code, details, metadata}`
+ * @return {Error}
+ * @api public
+ */
+
+exports.fromStatus = function(status) {
+    var code = typeof status.code === 'string' ? exports.codes[status.code] : status.code,
+        name = Object.keys(exports.codes).filter(function(key) {
+            return exports.codes[key] === code;
+        })[0],
+        metadata = status.metadata && typeof status.metadata.getMap === 'function'
+            ? status.metadata.getMap()
+            : status.metadata || {},
+        obj = {name: exports.classMap[name] || 'InternalError', message: status.details};
+
+    Object.keys(metadata).forEach(function(key) {
+        var value = metadata[key];
+        if (Array.isArray(value)) {
+            value = value[0];
+        }
+        if (Buffer.isBuffer(value)) {
+            value = value.toString();
+        }
+        if (key === nameKey && eros.find(value)) {
+            obj.name = value;
+        } else if (key === codeKey) {
+            obj.code = /^-?\d+$/.test(value) ? parseInt(value, 10) : value;
+        } else if (key !== nameKey) {
+            if (typeof value === 'string' && /^[\[{]/.test(value)) {
+                try {
+                    value = JSON.parse(value);
+                } catch (e) {
+                    // keep the string
+                }
+            }
+            obj[propertyName(key)] = value;
+        }
+    });
+    return eros.fromJSON(obj);
+};
@@ -0,0 +1,17 @@
+"use strict";
+
+/**
+ * Escape the given string for use in HTML.
+ *
+ * @param {String} str
+ * @returns {String}
+ * @api private
+ */
+
+exports.escape = function(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+};
@@ -0,0 +1,106 @@
+"use strict";
+
+var eros = require('./eros');
+
+/*!
+ * the range of the codes reserved by JSON-RPC 2.0 and
+ * of its implementation defined server errors
+ */
+
+var reserved = [-32768, -32000],
+    server = [-32099, -32000];
+
+/**
+ * The code application errors are mapped onto, unless
+ * their own code is in the server error range.
+ */
+
+exports.serverError = -32000;
+
+/**
+ * Return whether the given code is in the given range.
+ *
+ * @param {*} code
+ * @param {Array} range
+ * @returns {Boolean}
+ * @api private
+ */
+
+function within(code, range) {
+    return typeof code === 'number' && code >= range[0] && code <= range[1];
+}
+
+/**
+ * Return the JSON-RPC 2.0 `error` member for the given
+ * error. Errors whose code is reserved by JSON-RPC keep
+ * it, e.g. `-32601` for `RpcMethodNotFoundError`, other
+ * errors are mapped into the server error range (`-32000`
+ * unless their own code is in that range). The `data`
+ * is the JSON representation of the error without its
+ * message, so `fromJsonRpc()` can restore it.
+ *
+ * @param {Error} err
+ * @param {Object} [options] The options.
+ * @param {String} options.audience Render the fields for the `public` or `internal` audience only.
+ * @return {Object} `{code, message, data}`
+ * @api public
+ */
+
+exports.toJsonRpc = function(err, options) {
+    options = options || {};
+    var json = err.toJSON({audience: options.audience}),
+        data = {};
+    Object.keys(json).forEach(function(key) {
+        if (key !== 'message') {
+            data[key] = json[key];
+        }
+    });
+    return {
+        code: within(json.code, reserved) || within(json.code, server) ? json.code : exports.serverError,
+        message: json.message,
+        data: data
+    };
+};
+
+/**
+ * Rebuild an error from the given JSON-RPC 2.0 `error`
+ * member, or response carrying one. Errors serialized
+ * by `toJsonRpc()` are restored from their `data`, other
+ * errors are looked up by code (the predefined codes map
+ * onto the `Rpc*Error` classes) falling back to an
+ * `InternalError`, with a non object `data` kept as is.
+ *
+ * Examples:
+ *
+ *  var res = JSON.parse(body);
+ *  if (res.error) throw errors.fromJsonRpc(res);
+ *
+ * @param {Object|String} obj
+ * @return {Error}
+ * @api public
+ */
+
+exports.fromJsonRpc = function(obj) {
+    if (typeof obj === 'string') {
+        obj = JSON.parse(obj);
+    }
+    var error = obj.error && typeof obj.error === 'object' ? obj.error : obj,
+        data = error.data,
+        json = {};
+    if (data && typeof data === 'object' && !Array.isArray(data) && data.name) {
+        Object.keys(data).forEach(function(key) {
+            json[key] = data[key];
+        });
+    } else {
+        var ErrorClass = typeof error.code === 'number' && eros.find(error.code);
+        json.name = (ErrorClass || eros.InternalError).prototype.name;
+        json.code = error.code;
+        if (data != null) {
+            json.data = data;
+        }
+    }
+    if (error.message != null) {
+        json.message = error.message;
+    }
+    return eros.fromJSON(json);
+};
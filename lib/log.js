@@ -0,0 +1,234 @@
+"use strict";
+
+var eros = require('./eros');
+var redact = require('./redact');
+
+/*!
+ * fields leading every log object
+ */
+
+var leading = ['name', 'code', 'status', 'message'];
+
+/**
+ * Return the JSON representation of the given native
+ * error including its stack trace and causal chain.
+ *
+ * @param {Error} err
+ * @returns {Object}
+ * @api private
+ */
+
+function nativeJSON(err) {
+    var json = {name: err.name, message: err.message};
+    Object.keys(err).forEach(function(key) {
+        if (err[key] != null && key !== 'cause') {
+            json[key] = err[key];
+        }
+    });
+    if (err.stack) {
+        json.stack = err.stack;
+    }
+    if (err.cause instanceof Error) {
+        json.cause = toJSON(err.cause);
+    }
+    return redact.apply(json);
+}
+
+/**
+ * Return the JSON representation of the given error
+ * for the internal audience.
+ *
+ * @param {Error} err
+ * @returns {Object}
+ * @api private
+ */
+
+function toJSON(err) {
+    return eros.isError(err) && typeof err.toJSON === 'function'
+        ? err.toJSON({audience: 'internal'})
+        : nativeJSON(err);
+}
+
+/**
+ * Return the frames of the given stack trace, without
+ * the header and the stack traces of causes appended.
+ * Also used by `fingerprint()`.
+ *
+ * @param {String} stack
+ * @returns {Array}
+ * @api private
+ */
+
+var frames = exports.frames = function(stack) {
+    var result = [];
+    String(stack || '').split('\n').slice(1).every(function(line) {
+        var match = /^\s+at (.*)$/.exec(line);
+        if (match) {
+            result.push(match[1]);
+        }
+        return !!match || !result.length && !/^caused by:/.test(line);
+    });
+    return result;
+};
+
+/**
+ * Turn the given JSON representation of an error into
+ * a log object: leading fields first, stack traces split
+ * into frames, also for causes and aggregated errors.
+ *
+ * @param {Object} json
+ * @param {Object} options
+ * @returns {Object}
+ * @api private
+ */
+
+function logObject(json, options) {
+    var obj = {};
+    leading.concat(Object.keys(json)).forEach(function(key) {
+        if (json[key] == null || obj.hasOwnProperty(key)) {
+            return;
+        }
+        if (key === 'stack') {
+            if (options.stack !== false) {
+                obj.stack = frames(json.stack);
+            }
+        } else if (key === 'cause') {
+            obj.cause = logObject(json.cause, options);
+        } else if (key === 'errors' && Array.isArray(json.errors)) {
+            obj.errors = json.errors.map(function(err) {
+                return logObject(err, options);
+            });
+        } else {
+            obj[key] = json[key];
+        }
+    });
+    return obj;
+}
+
+/**
+ * Flatten the nested objects of the given object into
+ * keys joined by the given separator. Arrays are kept.
+ *
+ * @param {Object} obj
+ * @param {String} separator
+ * @returns {Object}
+ * @api private
+ */
+
+function flatten(obj, separator) {
+    var result = {};
+    (function walk(value, prefix) {
+        Object.keys(value).forEach(function(key) {
+            var child = value[key];
+            if (child && typeof child === 'object' && !Array.isArray(child)) {
+                walk(child, prefix + key + separator);
+            } else {
+                result[prefix + key] = child;
+            }
+        });
+    })(obj, '');
+    return result;
+}
+
+/**
+ * Return the structured log representation of the given
+ * error, native or created by `define()`: its `name`,
+ * `code`, `status` and `message` followed by the other
+ * fields of `toJSON()`, with the `stack` (regardless of
+ * `stacks()`) split into an array of frames and the
+ * `cause` and aggregated `errors` as nested log objects.
+ * Sensitive properties are redacted.
+ *
+ * With the `flat` option nested objects are flattened
+ * into dotted keys, e.g. `cause.name` or `data.user.id`.
+ *
+ * @param {Error} err
+ * @param {Object} [options] The options.
+ * @param {Boolean} options.flat Whether to flatten nested objects.
+ * @param {String} options.separator The separator of flattened keys, `.` by default.
+ * @param {Boolean} options.stack `false` to leave out stack traces.
+ * @return {Object}
+ * @api public
+ */
+
+exports.toLogObject = function(err, options) {
+    options = options || {};
+    var obj = logObject(toJSON(err), options);
+    return options.flat ? flatten(obj, options.separator || '.') : obj;
+};
+
+/**
+ * Serializer of the `err` field of pino or bunyan log
+ * records. Errors are turned into log objects which also
+ * carry their `name` as `type` like the standard pino
+ * serializer, other values are logged as is.
+ *
+ * Examples:
+ *
+ *  var logger = pino({serializers: {err: errors.serializers.err}});
+ *  logger.error({err: err}, 'request failed');
+ *
+ * @param {Error} err
+ * @return {Object}
+ * @api public
+ */
+
+exports.err = function(err) {
+    if (!(err instanceof Error)) {
+        return err;
+    }
+    var obj = exports.toLogObject(err);
+    obj.type = obj.name;
+    return obj;
+};
+
+/**
+ * Return the Elastic Common Schema fields of the given
+ * error: `error.type`, `error.message`, `error.code`
+ * and `error.stack_trace`, the status as
+ * `http.response.status_code`, the log object of the
+ * cause as `error.cause` and the other fields in
+ * `error.extra`. Merge the result into the log record.
+ *
+ * Examples:
+ *
+ *  logger.error(errors.serializers.ecs(err), 'request failed');
+ *  errors.serializers.ecs(errors.notFound('No such user'), {flat: true});
+ *  // => {'error.type': 'NotFoundError', 'error.message': 'No such user',
+ *  //     'error.code': '404', 'http.response.status_code': 404, ...}
+ *
+ * @param {Error} err
+ * @param {Object} [options] The options.
+ * @param {Boolean} options.flat Whether to return dotted keys.
+ * @return {Object}
+ * @api public
+ */
+
+exports.ecs = function(err, options) {
+    options = options || {};
+    var obj = exports.toLogObject(err, {stack: false}),
+        error = {type: obj.name, message: obj.message},
+        record = {error: error},
+        extra = {};
+    if (obj.code != null) {
+        error.code = String(obj.code);
+    }
+    if (err.stack) {
+        error.stack_trace = String(err.stack);
+    }
+    if (obj.cause) {
+        error.cause = exports.toLogObject(err.cause);
+    }
+    Object.keys(obj).forEach(function(key) {
+        if (leading.indexOf(key) < 0 && key !== 'cause') {
+            extra[key] = obj[key];
+        }
+    });
+    if (Object.keys(extra).length) {
+        error.extra = extra;
+    }
+    if (obj.status != null) {
+        record.http = {response: {status_code: obj.status}};
+    }
+    return options.flat ? flatten(record, '.') : record;
+};
@@ -0,0 +1,94 @@
+"use strict";
+
+/*!
+ * occurrences indexed by name, code and status
+ */
+
+var counts = {};
+
+/**
+ * Count the given error. Registered as a listener of
+ * the global `create` event.
+ *
+ * @param {Error} err
+ * @api private
+ */
+
+exports.record = function(err) {
+    var key = JSON.stringify([err.name, err.code, err.status]),
+        entry = counts[key] = counts[key] || {name: err.name, code: err.code, status: err.status, count: 0};
+    entry.count += 1;
+};
+
+/**
+ * Return the number of errors created so far, by
+ * `name`, `code` and `status`.
+ *
+ * @return {Array} `{name, code, status, count}` entries
+ * @api public
+ */
+
+exports.counts = function() {
+    return Object.keys(counts).sort().map(function(key) {
+        var entry = counts[key];
+        return {name: entry.name, code: entry.code, status: entry.status, count: entry.count};
+    });
+};
+
+/**
+ * Reset the counts.
+ *
+ * @api public
+ */
+
+exports.reset = function() {
+    counts = {};
+};
+
+/**
+ * Escape the given label value of the Prometheus text
+ * format.
+ *
+ * @param {*} value
+ * @returns {String}
+ * @api private
+ */
+
+function label(value) {
+    return String(value == null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Return the counts in the Prometheus text exposition
+ * format, as a counter labelled by `name`, `code` and
+ * `status`.
+ *
+ * Examples:
+ *
+ *  app.get('/metrics', function(req, res) {
+ *      res.type('text/plain; version=0.0.4').send(errors.metrics.prometheus());
+ *  });
+ *  // eros_errors_total{name="NotFoundError",code="404",status="404"} 3
+ *
+ * @param {Object} [options] The options.
+ * @param {String} options.name The metric name, `eros_errors_total` by default.
+ * @return {String}
+ * @api public
+ */
+
+exports.prometheus = function(options) {
+    options = options || {};
+    var name = options.name || 'eros_errors_total',
+        lines = [
+            '# HELP ' + name + ' Errors created, by name, code and status.',
+            '# TYPE ' + name + ' counter'
+        ];
+    exports.counts().forEach(function(entry) {
+        lines.push(name + '{name="' + label(entry.name) + '",code="' + label(entry.code)
+            + '",status="' + label(entry.status) + '"} ' + entry.count);
+    });
+    return lines.join('\n') + '\n';
+};
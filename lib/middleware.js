@@ -0,0 +1,214 @@
+"use strict";
+
+var util = require('util');
+var http = require('http');
+var eros = require('./eros');
+var problem = require('./problem');
+var escape = require('./html').escape;
+
+/*!
+ * media types the middleware can respond with
+ */
+
+var types = {
+    'application/json': 'json',
+    'application/problem+json': 'problem',
+    'text/html': 'html',
+    'text/plain': 'text'
+};
+
+/*!
+ * formats used for wildcard media ranges
+ */
+
+var wildcards = {
+    '*/*': 'json',
+    'application/*': 'json',
+    'text/*': 'text'
+};
+
+/**
+ * Parse the given `Accept` style header into its
+ * values ordered by quality. Values with a quality
+ * of zero are dropped, ties keep the header order.
+ *
+ * @param {String} header
+ * @returns {Array} `{value: String, q: Number}` entries
+ * @api private
+ */
+
+function parseAccept(header) {
+    return (header || '').split(',').map(function(part, index) {
+        var params = part.split(';'),
+            value = params.shift().trim().toLowerCase(),
+            q = 1;
+        params.forEach(function(param) {
+            var kv = param.split('=');
+            if (kv[0].trim() === 'q') q = parseFloat(kv[1]) || 0;
+        });
+        return {value: value, q: q, index: index};
+    }).filter(function(entry) {
+        return entry.value && entry.q > 0;
+    }).sort(function(a, b) {
+        return (b.q - a.q) || (a.index - b.index);
+    });
+}
+
+/**
+ * Pick the response format for the given `Accept`
+ * header honouring quality values. Exact media types
+ * win over wildcards of the same quality, a missing
+ * or unsatisfiable header falls back to JSON.
+ *
+ * @param {String} accept
+ * @returns {String} `json`, `problem`, `html` or `text`
+ * @api private
+ */
+
+function negotiate(accept) {
+    var best;
+    parseAccept(accept).forEach(function(entry) {
+        var format = types[entry.value] || wildcards[entry.value];
+        if (format && (!best || (entry.q === best.q && types[entry.value] && !types[best.value]))) {
+            best = {format: format, value: entry.value, q: entry.q};
+        }
+    });
+    return best ? best.format : 'json';
+}
+
+/**
+ * Return the locales of the given `Accept-Language`
+ * header ordered by preference.
+ *
+ * @param {String} header
+ * @returns {Array}
+ * @api private
+ */
+
+function languages(header) {
+    return parseAccept(header).map(function(entry) {
+        return entry.value;
+    }).filter(function(locale) {
+        return locale !== '*';
+    });
+}
+
+/**
+ * Return the plain text rendering of the given error,
+ * i.e. `toString()` or, for an audience, the fields of
+ * `toJSON({audience: audience})` one per line.
+ *
+ * @param {Error} err
+ * @param {String} [audience]
+ * @returns {String}
+ * @api private
+ */
+
+function text(err, audience) {
+    if (!audience) {
+        return err.toString();
+    }
+    var json = err.toJSON({audience: audience}),
+        str = util.format("%s: %s", json.name || json.status, json.message);
+    Object.keys(json).forEach(function(key) {
+        if (key !== 'name' && key !== 'message') {
+            var value = json[key];
+            str += util.format("\n%s: %s", key, typeof value === 'object' ? JSON.stringify(value) : value);
+        }
+    });
+    return str;
+}
+
+/*!
+ * renderers indexed by format returning `[contentType, body]`
+ */
+
+var render = {
+    json: function(err, audience) {
+        return ['application/json', JSON.stringify(err.toJSON({audience: audience}))];
+    },
+    problem: function(err, audience) {
+        return [problem.contentType, JSON.stringify(err.toProblem({audience: audience}))];
+    },
+    text: function(err, audience) {
+        return ['text/plain', text(err, audience)];
+    },
+    html: function(err, audience) {
+        var title = String(err.status) + ' ' + (audience === 'public' ? http.STATUS_CODES[err.status] : err.name);
+        return ['text/html', '<!DOCTYPE html>\n<html><head><title>'
+            + escape(title) + '</title></head><body><h1>'
+            + escape(title) + '</h1><pre>' + escape(text(err, audience))
+            + '</pre></body></html>'];
+    }
+};
+
+/**
+ * Create a connect / express compatible error handling
+ * middleware which responds with the error's `status`
+ * and renders it as JSON (via `toJSON()`), problem
+ * details (via `toProblem()`), plain text (via
+ * `toString()`) or HTML depending on the request's
+ * `Accept` header.
+ *
+ * The error's `headers` (e.g. `WWW-Authenticate` or
+ * `Retry-After`) are set on the response.
+ *
+ * Errors not created by `define()` are converted with
+ * `errors.from()` (i.e. into an `InternalError` unless
+ * mapped otherwise) keeping the original as `cause`.
+ * Stack traces are only exposed when `errors.stacks()`
+ * is enabled, unless an `audience` is given: errors are
+ * then rendered for the `public` (only the fields meant
+ * for clients, server errors collapse to a generic
+ * message) or for an `internal` audience (every detail).
+ *
+ * Errors are localized (see `errors.addLocale()`) for
+ * the request's `Accept-Language` header, or for the
+ * locale(s) returned by the `locale` option.
+ *
+ * Examples:
+ *
+ *  app.use(errors.middleware({
+ *      log: function(err, req) {
+ *          console.error(req.method, req.url, err.toString());
+ *      }
+ *  }));
+ *
+ * @param {Object} [options] The options.
+ * @param {Function} options.log Called with `(err, req, res)` for every handled error.
+ * @param {Function} options.locale Called with `(req)` to return the locale(s) to render in.
+ * @param {String} options.audience `public` or `internal`, see `toJSON()`.
+ * @return {Function} the error handling middleware
+ * @api public
+ */
+
+module.exports = function middleware(options) {
+    options = options || {};
+
+    return function errorHandler(err, req, res, next) {
+        err = eros.from(err);
+        if (options.log) {
+            options.log(err, req, res);
+        }
+        if (res.headersSent) {
+            return next(err);
+        }
+
+        var locale = options.locale
+            ? options.locale(req)
+            : languages(req.headers['accept-language']);
+        if (locale && locale.length) {
+            err = err.localize(locale);
+        }
+
+        var out = render[negotiate(req.headers.accept)](err, options.audience),
+            body = out[1];
+        res.statusCode = err.status;
+        Object.keys(err.headers || {}).forEach(function(name) {
+            res.setHeader(name, err.headers[name]);
+        });
+        res.setHeader('Content-Type', out[0] + '; charset=utf-8');
+        res.setHeader('Content-Length', Buffer.byteLength(body));
+        res.end(req.method === 'HEAD' ? null : body);
+    };
+};
@@ -0,0 +1,126 @@
+"use strict";
+
+var http = require('http');
+var eros = require('./eros');
+var redact = require('./redact');
+
+/*!
+ * base URI error codes are appended to for the `type`
+ * member, `about:blank` types are used if unset
+ */
+
+var baseURI;
+
+/*!
+ * members defined by RFC 9457
+ */
+
+var members = ['type', 'title', 'status', 'detail', 'instance'];
+
+/*!
+ * error properties not mapped onto extension members
+ */
+
+var internals = ['name', 'message', 'status', 'code', 'explanation', 'response', 'stack'];
+
+/**
+ * The media type of problem details documents.
+ */
+
+exports.contentType = 'application/problem+json';
+
+/**
+ * Get/set the base URI of problem types. The `type`
+ * member of a problem is the base URI followed by the
+ * error code. Without a base URI the `type` is
+ * `about:blank` and the code is kept in a `code`
+ * extension member instead.
+ *
+ * @param {String} [uri]
+ * @api public
+ */
+
+exports.base = function(uri) {
+    if (uri === undefined) {
+        return baseURI;
+    }
+    baseURI = uri || undefined;
+};
+
+/**
+ * Return the RFC 9457 problem details representation
+ * of the given error. The `status` is kept, its reason
+ * phrase becomes the `title`, the `message` becomes the
+ * `detail` and extra properties become extension members
+ * (redacted like the output of `toJSON()`).
+ *
+ * @param {Error} err
+ * @param {Object} [options] The options.
+ * @param {String} options.baseURI The base URI overriding `base()`.
+ * @param {String} options.instance The URI of this occurrence.
+ * @param {String} options.audience Render the fields for the `public` or `internal` audience only.
+ * @return {Object}
+ * @api public
+ */
+
+exports.toProblem = function(err, options) {
+    options = options || {};
+    var view = options.audience ? err.toJSON({audience: options.audience}) : err,
+        code = view.code != null ? view.code : view.status,
+        base = options.baseURI || baseURI,
+        problem = {
+            type: base ? base + code : 'about:blank',
+            title: http.STATUS_CODES[view.status] || err.name,
+            status: view.status
+        };
+    if (view.message) {
+        problem.detail = view.message;
+    }
+    if (options.instance) {
+        problem.instance = options.instance;
+    }
+    if (!base) {
+        problem.code = code;
+    }
+    Object.keys(view).forEach(function(key) {
+        if (internals.indexOf(key) < 0 && members.indexOf(key) < 0 && view[key] != null) {
+            problem[key] = view[key];
+        }
+    });
+    return redact.apply(problem, err.constructor.redact);
+};
+
+/**
+ * Rebuild an error from the given problem details
+ * document. The error code is taken from the `type`
+ * when it starts with the base URI, else from the
+ * `code` extension member. Constructors are looked up
+ * as done by `errors.fromJSON()`, other extension
+ * members become extra properties.
+ *
+ * @param {Object|String} problem
+ * @param {Object} [options] The options.
+ * @param {String} options.baseURI The base URI overriding `base()`.
+ * @return {Error}
+ * @api public
+ */
+
+exports.fromProblem = function(problem, options) {
+    if (typeof problem === 'string') {
+        problem = JSON.parse(problem);
+    }
+    options = options || {};
+    var base = options.baseURI || baseURI,
+        obj = {status: problem.status, message: problem.detail};
+
+    Object.keys(problem).forEach(function(key) {
+        if (members.indexOf(key) < 0 && key !== 'name' && key !== 'stack') {
+            obj[key] = problem[key];
+        }
+    });
+    if (base && typeof problem.type === 'string' && problem.type.indexOf(base) === 0) {
+        var code = problem.type.slice(base.length);
+        obj.code = /^-?\d+$/.test(code) ? parseInt(code, 10) : code;
+    }
+    return eros.fromJSON(obj);
+};
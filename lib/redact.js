@@ -0,0 +1,199 @@
+"use strict";
+
+var crypto = require('crypto');
+
+/*!
+ * global redaction configuration
+ */
+
+var config = {
+    keys: [/passw(or)?d/i, /secret/i, /token/i, /api[-_]?key/i, 'authorization', 'cookie'],
+    paths: [],
+    strategy: 'mask',
+    mask: '***'
+};
+
+/**
+ * Get/set the global redaction configuration. Set
+ * options are merged into the current configuration.
+ *
+ * The `keys` option lists property names (strings
+ * matched case insensitively, or regular expressions)
+ * to redact at any depth. It defaults to common
+ * credential names like `password`, `token` or
+ * `authorization`.
+ *
+ * The `paths` option lists dotted paths from the root
+ * of the error (e.g. `data.user.ssn`) to redact, a `*`
+ * segment matches any property.
+ *
+ * The `strategy` option is `mask` (replace the value
+ * with the `mask` option, `***` by default), `remove`,
+ * `hash` (replace the value with a SHA-256 prefix, so
+ * equal values can still be correlated) or a function
+ * called with `(value, key, path)` returning the value
+ * to output.
+ *
+ * Examples:
+ *
+ *  errors.redaction({paths: ['data.card.*'], strategy: 'hash'});
+ *
+ * @param {Object} [options] The options.
+ * @return {Object} the configuration when called without options
+ * @api public
+ */
+
+exports.configure = function(options) {
+    if (!options) {
+        return config;
+    }
+    Object.keys(options).forEach(function(key) {
+        config[key] = options[key];
+    });
+};
+
+/**
+ * Split the given per class redact list into the keys
+ * and paths it names. Entries containing a dot are
+ * paths, other strings and regular expressions keys.
+ *
+ * @param {Array} list
+ * @returns {Object}
+ * @api private
+ */
+
+function rules(list) {
+    var result = {keys: config.keys.slice(), paths: config.paths.slice()};
+    (list || []).forEach(function(entry) {
+        (typeof entry === 'string' && entry.indexOf('.') >= 0 ? result.paths : result.keys).push(entry);
+    });
+    return result;
+}
+
+/**
+ * Return whether the property at the given key and
+ * path is to be redacted.
+ *
+ * @param {String} key
+ * @param {String} path
+ * @param {Object} rules
+ * @returns {Boolean}
+ * @api private
+ */
+
+function matches(key, path, rules) {
+    key = String(key);
+    return rules.keys.some(function(pattern) {
+        return pattern instanceof RegExp
+            ? pattern.test(key)
+            : String(pattern).toLowerCase() === key.toLowerCase();
+    }) || rules.paths.some(function(pattern) {
+        var expected = pattern.split('.'),
+            actual = path.split('.');
+        return expected.length === actual.length && expected.every(function(segment, i) {
+            return segment === '*' || segment === actual[i];
+        });
+    });
+}
+
+/**
+ * Return the replacement of a redacted value, or
+ * `undefined` to remove it.
+ *
+ * @param {*} value
+ * @param {String} key
+ * @param {String} path
+ * @returns {*}
+ * @api private
+ */
+
+function mask(value, key, path) {
+    var strategy = config.strategy;
+    if (typeof strategy === 'function') {
+        return strategy(value, key, path);
+    }
+    if (strategy === 'remove') {
+        return undefined;
+    }
+    if (strategy === 'hash') {
+        return 'sha256:' + crypto.createHash('sha256')
+            .update(typeof value === 'string' ? value : JSON.stringify(value) || String(value))
+            .digest('hex').slice(0, 16);
+    }
+    return config.mask;
+}
+
+/**
+ * Return whether the given value is a plain object or
+ * array to descend into.
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ * @api private
+ */
+
+function isPlain(value) {
+    return Array.isArray(value) || Object.prototype.toString.call(value) === '[object Object]'
+        && (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+}
+
+/**
+ * Return a deep copy of the given plain object with
+ * the sensitive properties redacted according to the
+ * global configuration and the given per class list.
+ * Values other than plain objects and arrays are not
+ * copied.
+ *
+ * @param {Object} obj
+ * @param {Array} [list] The per class redact list.
+ * @return {Object}
+ * @api public
+ */
+
+exports.apply = function(obj, list) {
+    var r = rules(list),
+        seen = [];
+
+    function walk(value, path) {
+        if (!isPlain(value) || seen.indexOf(value) >= 0) {
+            return value;
+        }
+        seen.push(value);
+        var copy = Array.isArray(value) ? [] : {};
+        Object.keys(value).forEach(function(key) {
+            var child = path ? path + '.' + key : key;
+            if (matches(key, child, r)) {
+                var masked = mask(value[key], key, child);
+                if (masked !== undefined) {
+                    copy[key] = masked;
+                }
+            } else {
+                copy[key] = walk(value[key], child);
+            }
+        });
+        seen.pop();
+        return copy;
+    }
+
+    return walk(obj, '');
+};
+
+/**
+ * Return the given value redacted as if it was the
+ * property at the given dotted path, e.g. the value
+ * of a field violation.
+ *
+ * @param {*} value
+ * @param {String} path
+ * @param {Array} [list] The per class redact list.
+ * @return {*}
+ * @api public
+ */
+
+exports.value = function(value, path, list) {
+    var key = String(path).split('.').pop();
+    if (matches(key, String(path), rules(list))) {
+        return mask(value, key, path);
+    }
+    return exports.apply({value: value}, list).value;
+};
@@ -0,0 +1,428 @@
+"use strict";
+
+var fs = require('fs');
+var url = require('url');
+var http = require('http');
+var https = require('https');
+var eros = require('./eros');
+var fingerprint = require('./fingerprint');
+
+/*!
+ * callback of internal flushes, errors go to `onError`
+ */
+
+function noop() {}
+
+/**
+ * Send the given records with each of the given
+ * transports, then call `callback` with the first
+ * error once all of them are done.
+ *
+ * @param {Array} transports
+ * @param {Array} records
+ * @param {Function} callback
+ * @api private
+ */
+
+function send(transports, records, callback) {
+    var pending = transports.length,
+        error = null;
+    if (!pending) {
+        return callback(null);
+    }
+    transports.forEach(function(transport) {
+        var called = false;
+        function done(err) {
+            if (called) return;
+            called = true;
+            error = error || err || null;
+            if (--pending === 0) {
+                callback(error);
+            }
+        }
+        try {
+            transport.send(records, done);
+        } catch (err) {
+            done(err);
+        }
+    });
+}
+
+/**
+ * Create an error reporter shipping the errors given to
+ * its `report()` method to the given transports.
+ *
+ * Each report is a record `{timestamp, fingerprint,
+ * error}` where `error` is the `toJSON()` output of the
+ * error. Native errors are converted with `errors.from()`
+ * first, keeping their message. Their fingerprint is
+ * taken from the original error (see `fingerprint()`).
+ *
+ * Reports are kept with the probability given by the
+ * `sampleRate` option and limited to `rateLimit.max`
+ * reports of the same fingerprint per `rateLimit.interval`
+ * milliseconds. Kept reports are queued and sent in
+ * batches of `batchSize` records, at the latest after
+ * `flushInterval` milliseconds. Unless the `flushOnExit`
+ * option is `false`, the queue is flushed when the
+ * event loop of the process runs empty (`beforeExit`).
+ *
+ * A transport is an object with a `send(records,
+ * callback)` method, and optionally a synchronous
+ * `sendSync(records)`. When the process exits right away
+ * (e.g. by `process.exit()`) the queue can only be sent
+ * synchronously: transports without `sendSync`, like
+ * `http()`, drop it and `onError` is called with an
+ * `InternalError` whose `dropped` property is the number
+ * of dropped records. The built-in transports are
+ * `console()`, `file()` and `http()`.
+ *
+ * Examples:
+ *
+ *  var reporter = errors.reporter({
+ *      transports: [errors.reporter.http({url: 'https://errors.example.com/api/reports'})],
+ *      sampleRate: 0.5,
+ *      rateLimit: {max: 10, interval: 60000}
+ *  });
+ *  process.on('uncaughtException', reporter.report);
+ *
+ * @param {Object} [options] The options.
+ * @param {Array} options.transports The transports, `console()` by default.
+ * @param {Number} options.sampleRate The probability of keeping a report, 1 by default.
+ * @param {Object} options.rateLimit `{max, interval}` limiting the reports per fingerprint.
+ * @param {Number} options.batchSize The number of records sent at once, 10 by default.
+ * @param {Number} options.flushInterval The maximum delay of reports in milliseconds, 1000 by default.
+ * @param {Boolean} options.flushOnExit `false` not to flush when the process exits.
+ * @param {String} options.audience Report the fields for the `public` or `internal` audience only.
+ * @param {Object} options.fingerprint Rules overriding the `fingerprinting()` ones.
+ * @param {Function} options.onError Called with the errors of transports.
+ * @return {Object} `{report, flush, close}`
+ * @api public
+ */
+
+module.exports = exports = function reporter(options) {
+    options = options || {};
+    var transports = options.transports || [exports.console()],
+        sampleRate = options.sampleRate == null ? 1 : options.sampleRate,
+        rateLimit = options.rateLimit,
+        batchSize = options.batchSize || 10,
+        flushInterval = options.flushInterval == null ? 1000 : options.flushInterval,
+        windows = {},
+        queue = [],
+        timer = null,
+        closed = false;
+
+    function failed(err) {
+        if (err && options.onError) {
+            options.onError(err);
+        }
+    }
+
+    function limited(fp, now) {
+        if (!rateLimit) {
+            return false;
+        }
+        var entry = windows[fp];
+        if (!entry || now - entry.start >= rateLimit.interval) {
+            entry = windows[fp] = {start: now, count: 0};
+        }
+        return ++entry.count > rateLimit.max;
+    }
+
+    function schedule() {
+        if (timer || !queue.length) return;
+        timer = setTimeout(function() {
+            timer = null;
+            self.flush(noop);
+        }, flushInterval);
+        if (timer.unref) timer.unref();
+    }
+
+    function onBeforeExit() {
+        if (queue.length) {
+            self.flush(noop);
+        }
+    }
+
+    function onExit() {
+        var records = queue.splice(0);
+        if (!records.length) return;
+        transports.forEach(function(transport) {
+            if (!transport.sendSync) {
+                return failed(new eros.InternalError({
+                    message: 'Dropped ' + records.length + ' error reports on exit, the transport cannot send synchronously',
+                    dropped: records.length
+                }));
+            }
+            try {
+                transport.sendSync(records);
+            } catch (err) {
+                failed(err);
+            }
+        });
+    }
+
+    var self = {
+        /**
+         * Report the given error, returning whether it
+         * was kept (not sampled out or rate limited).
+         *
+         * @param {Error} err
+         * @return {Boolean}
+         * @api public
+         */
+
+        report: function(err) {
+            if (closed || Math.random() >= sampleRate) {
+                return false;
+            }
+            var now = Date.now(),
+                converted = eros.from(err, {message: true}),
+                fp = fingerprint.fingerprint(converted.cause === err ? err : converted, options.fingerprint);
+            if (limited(fp, now)) {
+                return false;
+            }
+            queue.push({
+                timestamp: new Date(now).toISOString(),
+                fingerprint: fp,
+                error: converted.toJSON(options.audience ? {audience: options.audience} : undefined)
+            });
+            if (queue.length >= batchSize) {
+                self.flush(noop);
+            } else {
+                schedule();
+            }
+            return true;
+        },
+
+        /**
+         * Send the queued reports in batches.
+         *
+         * @param {Function} [callback] Called with the first error of the transports.
+         * @return {Promise} unless a callback is given
+         * @api public
+         */
+
+        flush: function(callback) {
+            var batches = [];
+            clearTimeout(timer);
+            timer = null;
+            while (queue.length) {
+                batches.push(queue.splice(0, batchSize));
+            }
+            Object.keys(windows).forEach(function(fp) {
+                if (!rateLimit || Date.now() - windows[fp].start >= rateLimit.interval) {
+                    delete windows[fp];
+                }
+            });
+            var promise = new Promise(function(resolve) {
+                var pending = batches.length, error = null;
+                if (!pending) {
+                    return resolve(null);
+                }
+                batches.forEach(function(records) {
+                    send(transports, records, function(err) {
+                        failed(err);
+                        error = error || err;
+                        if (--pending === 0) {
+                            resolve(error);
+                        }
+                    });
+                });
+            });
+            if (callback) {
+                promise.then(function(err) {
+                    callback(err);
+                });
+                return undefined;
+            }
+            return promise.then(function(err) {
+                if (err) throw err;
+            });
+        },
+
+        /**
+         * Flush the queued reports and stop reporting.
+         *
+         * @param {Function} [callback] Called with the first error of the transports.
+         * @return {Promise} unless a callback is given
+         * @api public
+         */
+
+        close: function(callback) {
+            closed = true;
+            process.removeListener('beforeExit', onBeforeExit);
+            process.removeListener('exit', onExit);
+            return self.flush(callback);
+        }
+    };
+
+    if (options.flushOnExit !== false) {
+        process.on('beforeExit', onBeforeExit);
+        process.on('exit', onExit);
+    }
+    return self;
+};
+
+/**
+ * Return a transport writing each record as a line of
+ * JSON to the given stream, `process.stderr` by default.
+ *
+ * @param {Object} [options] The options.
+ * @param {Stream} options.stream The stream to write to.
+ * @return {Object}
+ * @api public
+ */
+
+exports.console = function(options) {
+    options = options || {};
+    var stream = options.stream || process.stderr;
+
+    function write(records) {
+        stream.write(records.map(function(record) {
+            return JSON.stringify(record) + '\n';
+        }).join(''));
+    }
+
+    return {
+        send: function(records, callback) {
+            write(records);
+            callback(null);
+        },
+        sendSync: write
+    };
+};
+
+/**
+ * Return a transport appending each record as a line of
+ * JSON to the file at the given path. When the file
+ * would grow beyond `maxSize` bytes it is rotated: the
+ * file is renamed with the suffix `.1`, older files are
+ * shifted to `.2`, `.3` and so on, and files beyond
+ * `maxFiles` are removed.
+ *
+ * Examples:
+ *
+ *  errors.reporter.file({path: '/var/log/app/errors.log', maxSize: 1048576, maxFiles: 3});
+ *
+ * @param {Object} options The options.
+ * @param {String} options.path The path of the file.
+ * @param {Number} options.maxSize The size in bytes to rotate at, 10 MB by default.
+ * @param {Number} options.maxFiles The number of rotated files to keep, 5 by default.
+ * @return {Object}
+ * @api public
+ */
+
+exports.file = function(options) {
+    var file = options.path,
+        maxSize = options.maxSize || 10 * 1024 * 1024,
+        maxFiles = options.maxFiles == null ? 5 : options.maxFiles;
+
+    function size() {
+        try {
+            return fs.statSync(file).size;
+        } catch (err) {
+            return 0;
+        }
+    }
+
+    function rotate() {
+        for (var i = maxFiles; i > 0; i--) {
+            var from = i === 1 ? file : file + '.' + (i - 1);
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, file + '.' + i);
+            }
+        }
+        if (!maxFiles && fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    }
+
+    function write(records) {
+        var data = records.map(function(record) {
+            return JSON.stringify(record) + '\n';
+        }).join(''), current = size();
+        if (current && current + Buffer.byteLength(data) > maxSize) {
+            rotate();
+        }
+        fs.appendFileSync(file, data);
+    }
+
+    return {
+        send: function(records, callback) {
+            try {
+                write(records);
+            } catch (err) {
+                return callback(err);
+            }
+            callback(null);
+        },
+        sendSync: write
+    };
+};
+
+/**
+ * Return a transport posting the records as a JSON
+ * array to the given URL. Responses other than 2xx fail
+ * with the error class of their status.
+ *
+ * Examples:
+ *
+ *  errors.reporter.http({
+ *      url: 'https://errors.example.com/api/reports',
+ *      headers: {authorization: 'Bearer ' + token}
+ *  });
+ *
+ * @param {Object} options The options.
+ * @param {String} options.url The URL to post to.
+ * @param {String} options.method The request method, `POST` by default.
+ * @param {Object} options.headers Additional request headers.
+ * @param {Number} options.timeout The request timeout in milliseconds, 10000 by default.
+ * @return {Object}
+ * @api public
+ */
+
+exports.http = function(options) {
+    var target = url.parse(options.url),
+        client = target.protocol === 'https:' ? https : http;
+
+    return {
+        send: function(records, callback) {
+            var body = JSON.stringify(records),
+                headers = {'content-type': 'application/json', 'content-length': Buffer.byteLength(body)},
+                done = false;
+            Object.keys(options.headers || {}).forEach(function(key) {
+                headers[key.toLowerCase()] = options.headers[key];
+            });
+
+            function finish(err) {
+                if (done) return;
+                done = true;
+                callback(err || null);
+            }
+
+            var req = client.request({
+                protocol: target.protocol,
+                hostname: target.hostname,
+                port: target.port,
+                path: target.path,
+                method: options.method || 'POST',
+                headers: headers
+            }, function(res) {
+                res.resume();
+                res.on('end', function() {
+                    finish(res.statusCode >= 200 && res.statusCode < 300 ? null : eros.from({
+                        status: res.statusCode,
+                        message: 'Error report rejected with status ' + res.statusCode
+                    }, {message: true}));
+                });
+            });
+            req.setTimeout(options.timeout || 10000, function() {
+                req.abort();
+                finish(new eros.GatewayTimeoutError('Error report timed out'));
+            });
+            req.on('error', finish);
+            req.end(body);
+        }
+    };
+};
@@ -0,0 +1,151 @@
+"use strict";
+
+var eros = require('./eros');
+
+/**
+ * Return the delay in milliseconds requested by the
+ * `retryAfter` of the given error (seconds, a numeric
+ * string or a `Date`), or 0.
+ *
+ * @param {Error} err
+ * @returns {Number}
+ * @api private
+ */
+
+function retryAfter(err) {
+    var value = err.retryAfter;
+    if (value instanceof Date) {
+        return Math.max(value.getTime() - Date.now(), 0);
+    }
+    value = parseFloat(value);
+    return isNaN(value) ? 0 : Math.max(value * 1000, 0);
+}
+
+/**
+ * Return the delay in milliseconds before the given
+ * attempt.
+ *
+ * @param {Object} options
+ * @param {Number} attempt The number of the failed attempt, from 1.
+ * @param {Error} err The error of the failed attempt.
+ * @returns {Number}
+ * @api private
+ */
+
+function delay(options, attempt, err) {
+    var backoff = options.backoff,
+        ms = typeof backoff === 'function'
+            ? backoff(attempt, err)
+            : (backoff == null ? 100 : backoff) * Math.pow(options.factor || 2, attempt - 1);
+    return Math.max(ms, retryAfter(err));
+}
+
+/**
+ * Call `fn` until it succeeds, retrying failures whose
+ * error is `retryable` (see `define()`) up to `retries`
+ * times. Errors not created by `define()` are classified
+ * by the constructor `errors.from()` would convert them
+ * into (see `errors.classOf()`), so e.g. a `ECONNRESET`
+ * is retried while a `TypeError` is not.
+ *
+ * Retries wait for the `backoff` in milliseconds, which
+ * is multiplied by the `factor` at every retry, or for
+ * the delay returned by a `backoff` function called with
+ * the number of the failed attempt and its error. A
+ * longer `retryAfter` of the error wins.
+ *
+ * When giving up, the returned error is a `MultiError`
+ * aggregating the errors of all attempts, converted with
+ * `errors.from()` keeping their messages.
+ *
+ * Without a callback `fn` is called with the number of
+ * the attempt and must return a promise, and so does
+ * `retry()`. Given a callback, `fn` is called with a
+ * node style callback and the number of the attempt.
+ *
+ * Examples:
+ *
+ *  errors.retry(function() {
+ *      return fetchUser(id);
+ *  }, {retries: 5, backoff: 200}).then(render, next);
+ *
+ *  errors.retry(function(done) {
+ *      request(url, done);
+ *  }, {retries: 2}, function(err, res) {
+ *      // ...
+ *  });
+ *
+ * @param {Function} fn The function to call.
+ * @param {Object} [options] The options.
+ * @param {Number} options.retries The maximum number of retries, 3 by default.
+ * @param {Number|Function} options.backoff The initial delay in milliseconds (100 by default), or a function returning the delay.
+ * @param {Number} options.factor The factor of the exponential backoff, 2 by default.
+ * @param {Function} options.retryable Called with `(err)` to decide whether to retry instead of the error's `retryable`.
+ * @param {Function} [callback] Called with `(err, result)`.
+ * @return {Promise} unless a callback is given
+ * @api public
+ */
+
+module.exports = function retry(fn, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    options = options || {};
+    var retries = options.retries == null ? 3 : options.retries,
+        attempts = [];
+
+    function isRetryable(err) {
+        if (options.retryable) {
+            return !!options.retryable(err);
+        }
+        return !!(eros.isError(err) ? err : eros.classOf(err).prototype).retryable;
+    }
+
+    function run(attempt, done) {
+        var finished = false;
+
+        function settle(err, result) {
+            if (finished) return;
+            finished = true;
+            if (!err) {
+                return done(null, result);
+            }
+            // keep errors, not raw failure values like strings
+            attempts.push(eros.from(err, {message: true}));
+            if (attempt > retries || !isRetryable(err)) {
+                return done(eros.multi(attempts, 'Gave up after ' + attempts.length
+                    + (attempts.length === 1 ? ' attempt.' : ' attempts.')));
+            }
+            setTimeout(function() {
+                run(attempt + 1, done);
+            }, delay(options, attempt, err));
+        }
+
+        try {
+            if (callback) {
+                fn(settle, attempt);
+            } else {
+                Promise.resolve(fn(attempt)).then(function(result) {
+                    settle(null, result);
+                }, function(err) {
+                    settle(err || new eros.InternalError('Promise rejected without a reason'));
+                });
+            }
+        } catch (err) {
+            // rethrow errors thrown by the callback itself
+            if (finished) throw err;
+            settle(err);
+        }
+    }
+
+    if (callback) {
+        run(1, callback);
+        return undefined;
+    }
+    return new Promise(function(resolve, reject) {
+        run(1, function(err, result) {
+            return err ? reject(err) : resolve(result);
+        });
+    });
+};
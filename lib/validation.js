@@ -0,0 +1,245 @@
+"use strict";
+
+var util = require('util');
+var eros = require('./eros');
+var redact = require('./redact');
+
+/**
+ * Return the dotted path of the given validator result
+ * entry. Array paths (joi, zod) are joined and JSON
+ * pointers (ajv) are converted.
+ *
+ * @param {Object} item
+ * @returns {String}
+ * @api private
+ */
+
+function pathOf(item) {
+    var path = [item.path, item.instancePath, item.dataPath, item.param, item.property, item.field]
+        .filter(function(path) { return path != null; })[0];
+    if (Array.isArray(path)) {
+        return path.join('.');
+    }
+    path = path == null ? '' : String(path);
+    if (path.charAt(0) === '/') {
+        return path.slice(1).split('/').join('.');
+    }
+    return path.charAt(0) === '.' ? path.slice(1) : path;
+}
+
+/**
+ * Convert the given validator result entry into a list
+ * of violations.
+ *
+ * @param {Object} item
+ * @param {String} prefix The path of the parent entry.
+ * @returns {Array}
+ * @api private
+ */
+
+function violationsOf(item, prefix) {
+    if (typeof item === 'string') {
+        return [violation({message: item})];
+    }
+    var path = [prefix, pathOf(item)].filter(Boolean).join('.'),
+        value = 'value' in item ? item.value : item.context && item.context.value;
+
+    // class-validator reports constraints and nested children
+    if (item.constraints || item.children) {
+        return Object.keys(item.constraints || {}).map(function(rule) {
+            return violation({path: path, rule: rule, value: value, message: item.constraints[rule]});
+        }).concat((item.children || []).reduce(function(list, child) {
+            return list.concat(violationsOf(child, path));
+        }, []));
+    }
+    return [violation({
+        path: path,
+        rule: item.rule || item.keyword || item.type || item.validation || item.code,
+        value: value,
+        message: item.message || item.msg
+    })];
+}
+
+/**
+ * Return a violation with the given `path`, `rule`,
+ * `value` and `message` leaving out unset fields.
+ *
+ * @param {Object} v
+ * @returns {Object}
+ * @api private
+ */
+
+function violation(v) {
+    var result = {};
+    ['path', 'rule', 'value', 'message'].forEach(function(key) {
+        if (v[key] !== undefined && v[key] !== '') {
+            result[key] = v[key];
+        }
+    });
+    return result;
+}
+
+/**
+ * Convert common validator result shapes into a list
+ * of violations. Accepts arrays of `{path, message}`
+ * like objects (ajv, express-validator, class-validator
+ * and alike) and the errors of joi (`details`), zod
+ * (`issues`) and yup (`inner`).
+ *
+ * @param {Array|Object} results
+ * @returns {Array}
+ * @api private
+ */
+
+function normalize(results) {
+    if (!results) {
+        return [];
+    }
+    if (!Array.isArray(results)) {
+        results = results.details || results.issues
+            || (results.inner && results.inner.length ? results.inner : [results]);
+    }
+    return results.reduce(function(list, item) {
+        return list.concat(violationsOf(item));
+    }, []);
+}
+
+/**
+ * Format the given violation as a line of `toString()`.
+ *
+ * @param {Object} v
+ * @returns {String}
+ * @api private
+ */
+
+function format(v) {
+    var line = util.format("\n  - %s: %s", v.path || '(root)', v.message || 'is invalid');
+    if (v.rule) {
+        line += util.format(" [%s]", v.rule);
+    }
+    return line;
+}
+
+/**
+ * Error for invalid input carrying a list of field
+ * violations, each with a `path`, the `rule` broken,
+ * the offending `value` and a `message`.
+ *
+ * Examples:
+ *
+ *  var err = new errors.ValidationError('Invalid user');
+ *  if (!user.email) err.add('email', 'is required', 'required');
+ *  if (user.age < 18) err.add({path: 'age', rule: 'min', value: user.age, message: 'must be 18 or older'});
+ *  if (err.violations.length) throw err;
+ *
+ *  // from validator results
+ *  throw errors.invalid(ajv.errors);
+ */
+
+var ValidationError = module.exports = eros.define(eros.UnprocessableEntityError, 'ValidationError', {
+    // fixed below the HTTP statuses like the MultiError code
+    code: 99,
+    status: 422,
+    defaultMessage: 'Validation failed.',
+    init: function(options) {
+        Object.defineProperty(this, 'violations', {
+            value: normalize(options.violations),
+            configurable: true,
+            enumerable: false,
+            writable: true
+        });
+    }
+});
+
+/**
+ * Add a violation. Accepts a violation object, or its
+ * `path`, `message`, `rule` and `value` as arguments.
+ *
+ * @param {String|Object} path The field path or the violation.
+ * @param {String} [message] The message for the field.
+ * @param {String} [rule] The rule broken.
+ * @param {*} [value] The offending value.
+ * @return {ValidationError} this error for chaining
+ * @api public
+ */
+
+ValidationError.prototype.add = function(path, message, rule, value) {
+    var v = typeof path === 'object'
+        ? path
+        : {path: path, message: message, rule: rule, value: value};
+    this.violations = this.violations.concat(violationsOf(v));
+    return this;
+};
+
+/**
+ * Add the violations of the given validator results.
+ *
+ * @param {Array|Object} results
+ * @return {ValidationError} this error for chaining
+ * @api public
+ */
+
+ValidationError.prototype.addAll = function(results) {
+    this.violations = this.violations.concat(normalize(results));
+    return this;
+};
+
+/**
+ * Return the formatted error followed by a line for
+ * every violation.
+ *
+ * @return {String}
+ * @api public
+ */
+
+var toString = ValidationError.prototype.toString;
+
+ValidationError.prototype.toString = function() {
+    var str = toString.call(this),
+        // keep the stack trace last
+        stack = eros.stacks() ? "\n" + this.stack : '';
+    str = str.slice(0, str.length - stack.length);
+    if (this.violations.length) {
+        str += "\nViolations:" + this.violations.map(format).join('');
+    }
+    return str + stack;
+};
+
+/**
+ * Return the JSON representation of the error which
+ * includes its `violations`. The values of violations
+ * are redacted as if they were properties at the path
+ * of the violation.
+ *
+ * @return {Object}
+ * @api public
+ */
+
+var toJSON = ValidationError.prototype.toJSON;
+
+ValidationError.prototype.toJSON = function(options) {
+    var json = toJSON.call(this, options);
+    json.violations = this.violations.map(function(v) {
+        v = violation(v);
+        if ('value' in v) {
+            v.value = redact.value(v.value, v.path || '', ValidationError.redact);
+        }
+        return v;
+    });
+    return json;
+};
+
+/**
+ * Create a `ValidationError` from common validator
+ * result shapes, e.g. an array of `{path, message}`
+ * objects or the errors of ajv, joi, zod or yup.
+ *
+ * @param {Array|Object} results The validator results.
+ * @param {String} [message] The message.
+ * @return {ValidationError}
+ * @api public
+ */
+
+ValidationError.from = function(results, message) {
+    return new ValidationError(message, {violations: results});
+};
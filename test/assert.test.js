@@ -0,0 +1,77 @@
+"use strict";
+
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('eros.assert()', function () {
+    function thrown(fn) {
+        try {
+            fn();
+        } catch (err) {
+            return err;
+        }
+        t.fail('did not throw');
+    }
+
+    it('throws the given error class unless the condition holds', function () {
+        t.equal(eros.assert(42, eros.BadRequestError, 'Invalid'), 42);
+        var err = thrown(function () {
+            eros.assert('', eros.BadRequestError, 'Email is required');
+        });
+        t.instanceOf(err, eros.BadRequestError);
+        t.equal(err.message, 'Email is required');
+        t.notProperty(err, 'stackStart');
+    });
+
+    it('accepts constructor options', function () {
+        var err = thrown(function () {
+            eros.assert(false, eros.ConflictError, {message: 'Order {id} is closed', params: {id: 7}, data: {state: 'closed'}});
+        });
+        t.equal(err.message, 'Order 7 is closed');
+        t.deepEqual(err.data, {state: 'closed'});
+    });
+
+    it('defaults to InternalError', function () {
+        var err = thrown(function () {
+            eros.assert(null, 'Config missing');
+        });
+        t.instanceOf(err, eros.InternalError);
+        t.equal(err.message, 'Config missing');
+    });
+
+    it('starts the stack trace at the caller', function () {
+        var err = thrown(function callerOfAssert() {
+            eros.assert.found(undefined, 'User');
+        });
+        t.match(err.stack.split('\n')[1], /callerOfAssert .*assert\.test\.js/);
+        t.notInclude(err.stack, 'lib/assert.js');
+        t.notInclude(err.stack, 'lib/eros.js');
+    });
+
+    it('throws NotFoundError for missing values', function () {
+        var user = {id: 1};
+        t.equal(eros.assert.found(user, 'User'), user);
+        t.equal(eros.assert.found(0, 'Count'), 0);
+        var err = thrown(function () {
+            eros.assert.found(null, 'User');
+        });
+        t.instanceOf(err, eros.NotFoundError);
+        t.equal(err.message, 'User not found');
+        t.equal(err.status, 404);
+    });
+
+    it('throws UnauthorizedError and ForbiddenError', function () {
+        var err = thrown(function () {
+            eros.assert.authorized(null, {message: 'Login required', challenge: 'Bearer'});
+        });
+        t.instanceOf(err, eros.UnauthorizedError);
+        t.equal(err.headers['WWW-Authenticate'], 'Bearer');
+
+        err = thrown(function () {
+            eros.assert.allowed(false, 'Admins only');
+        });
+        t.instanceOf(err, eros.ForbiddenError);
+        t.equal(err.message, 'Admins only');
+        t.equal(eros.assert.allowed(true), true);
+    });
+});
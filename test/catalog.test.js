@@ -0,0 +1,75 @@
+"use strict";
+
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('eros.catalog()', function () {
+    var registry = eros.createRegistry({codeRange: [7000, 7999]});
+    registry.define({
+        name: 'FatalDBError',
+        parent: eros.InternalError,
+        defaultMessage: 'Database {db} failed',
+        defaultExplanation: 'The database | cluster is down',
+        defaultResponse: 'Page the on-call DBA'
+    });
+    registry.define(registry.FatalDBError, 'DBTimeoutError', {code: 7100, status: 504});
+    registry.define({name: 'QuotaError', code: 429});
+
+    it('lists every error of the registry by code', function () {
+        var catalog = registry.catalog();
+        t.deepEqual(catalog.errors.map(function (e) { return e.name; }),
+            ['QuotaError', 'FatalDBError', 'DBTimeoutError']);
+        t.deepEqual(catalog.errors[1], {
+            name: 'FatalDBError',
+            code: 7000,
+            status: 500,
+            parent: 'InternalError',
+            message: 'Database {db} failed',
+            explanation: 'The database | cluster is down',
+            response: 'Page the on-call DBA'
+        });
+        t.equal(catalog.errors[2].status, 504);
+        t.equal(catalog.errors[0].status, 429);
+        t.equal(catalog.errors[0].parent, 'Error');
+    });
+
+    it('includes the inheritance tree', function () {
+        t.deepEqual(registry.catalog().tree, [
+            {name: 'QuotaError', code: 429, children: []},
+            {name: 'FatalDBError', code: 7000, children: [
+                {name: 'DBTimeoutError', code: 7100, children: []}
+            ]}
+        ]);
+    });
+
+    it('covers the default registry', function () {
+        var catalog = eros.catalog(),
+            notFound = catalog.errors.filter(function (e) { return e.name === 'NotFoundError'; })[0],
+            http = catalog.tree.filter(function (node) { return node.name === 'HttpError'; })[0];
+        t.equal(notFound.code, 404);
+        t.equal(notFound.parent, 'HttpError');
+        t.ok(http.children.some(function (node) { return node.name === 'InternalError'; }));
+    });
+
+    it('renders Markdown', function () {
+        var md = registry.catalog({format: 'markdown', title: 'DB errors'});
+        t.include(md, '# DB errors\n');
+        t.include(md, '| Code | Name | Status | Parent | Message | Explanation | Response |');
+        t.include(md, '| 7000 | FatalDBError | 500 | InternalError | Database {db} failed | '
+            + 'The database \\| cluster is down | Page the on-call DBA |');
+        t.include(md, '- FatalDBError (7000)\n  - DBTimeoutError (7100)');
+    });
+
+    it('renders HTML', function () {
+        var html = eros.renderCatalog(registry.catalog(), 'html', {title: 'DB <errors>'});
+        t.include(html, '<title>DB &lt;errors&gt;</title>');
+        t.include(html, '<tr id="FatalDBError"><td>7000</td><td>FatalDBError</td>');
+        t.include(html, '<li><a href="#FatalDBError">FatalDBError</a> (7000)<ul><li><a href="#DBTimeoutError">');
+    });
+
+    it('rejects unknown formats', function () {
+        t.throws(function () {
+            registry.catalog({format: 'pdf'});
+        }, /Unknown catalog format 'pdf'/);
+    });
+});
@@ -0,0 +1,94 @@
+"use strict";
+
+var path = require('path');
+var cli = require('../lib/cli');
+var t = require('chai').assert;
+
+describe('eros command line tool', function () {
+
+    function run(argv) {
+        var result = {stdout: '', stderr: ''};
+        result.code = cli.run(argv, {
+            cwd: path.join(__dirname, 'fixtures'),
+            stdout: {write: function (str) { result.stdout += str; }},
+            stderr: {write: function (str) { result.stderr += str; }}
+        });
+        return result;
+    }
+
+    it('looks up errors by code', function () {
+        var result = run(['lookup', '404']);
+        t.equal(result.code, 0);
+        t.include(result.stdout, 'NotFoundError\n  Code:        404\n  Status:      404\n');
+        t.include(result.stdout, '  Parents:     HttpError < Error\n');
+    });
+
+    it('looks up errors of a module by name', function () {
+        var result = run(['lookup', 'FatalDBError', '--module', './errors.js']);
+        t.equal(result.code, 0);
+        t.equal(result.stdout, [
+            'FatalDBError',
+            '  Code:        8000',
+            '  Status:      500',
+            '  Message:     Database failure',
+            '  Explanation: The primary database is unreachable',
+            '  Response:    Fail over to the replica',
+            '  Parents:     InternalError < HttpError < Error',
+            ''
+        ].join('\n'));
+        t.include(run(['lookup', '8100', '--module=./errors.js']).stdout, 'DBTimeoutError\n');
+    });
+
+    it('looks up errors a module defines in the default registry', function () {
+        var result = run(['lookup', 'ShippingDelayedError', '--module', './default.js']);
+        t.equal(result.code, 0);
+        t.equal(result.stderr, '');
+        t.include(result.stdout, '  Explanation: The carrier does not accept new parcels\n');
+        t.include(result.stdout, '  Parents:     ServerTimeoutError < InternalError < HttpError < Error\n');
+        t.match(run(['list', '--module', './default.js']).stdout, /ShippingDelayedError +Shipping is delayed\n/);
+    });
+
+    it('warns about modules adding no errors to the listed registry', function () {
+        var result = run(['list', '--module', './unexported.js']);
+        t.equal(result.code, 0);
+        t.equal(result.stderr, 'eros: warning: module ./unexported.js adds no errors to the listed registry\n');
+        t.notInclude(result.stdout, 'OrphanedError');
+    });
+
+    it('looks up errors by code pattern', function () {
+        var result = run(['lookup', 'DB.*', '--module', './errors.js']);
+        t.equal(result.code, 0);
+        t.match(result.stdout, /^DBPoolExhaustedError\n  Code:        DB\.POOL\.EXHAUSTED\n  Status:      500\n/);
+        t.include(result.stdout, '  Parents:     FatalDBError < InternalError < HttpError < Error\n');
+    });
+
+    it('fails to look up unknown errors', function () {
+        var result = run(['lookup', '8999', '--module', './errors.js']);
+        t.equal(result.code, 1);
+        t.equal(result.stderr, "eros: no error found for '8999'\n");
+    });
+
+    it('lists the errors of a module', function () {
+        var result = run(['list', '--module', './errors.js']);
+        t.equal(result.code, 0);
+        t.match(result.stdout, /^8000 +500 +FatalDBError +Database failure\n8100 +504 +DBTimeoutError /);
+        t.include(run(['list', '--module', './errors.js', '--format', 'markdown']).stdout, '| 8100 | DBTimeoutError | 504 |');
+        t.equal(JSON.parse(run(['list', '--module', './errors.js', '--format', 'json']).stdout).errors.length, 3);
+    });
+
+    it('checks for duplicate names and codes', function () {
+        t.equal(run(['check', '--module', './errors.js']).code, 0);
+        var result = run(['check', '--module', './duplicates.js']);
+        t.equal(result.code, 1);
+        t.equal(result.stderr, 'eros: duplicate error names or codes\n'
+            + '  name CardError: CardError, CardError\n'
+            + '  code 402: PaymentError, CardError\n');
+    });
+
+    it('prints the usage', function () {
+        var result = run([]);
+        t.equal(result.code, 2);
+        t.include(result.stderr, 'Usage: eros <command> [options]');
+        t.equal(run(['list', '--verbose', 'x']).stderr, 'eros: unknown option --verbose\n');
+    });
+});
@@ -252,4 +252,812 @@ describe('#isError', function () {
         t.notOk(eros.isError(new Error()));
         done();
     });
-});
\ No newline at end of file
+
+    it('returns false for plain objects looking like errors', function () {
+        t.notOk(eros.isError({code: 404, explanation: 'Not here'}));
+        t.notOk(eros.isError(JSON.parse(JSON.stringify(eros.notFound()))));
+        t.notOk(eros.isError(null));
+        t.notOk(eros.isError('NotFoundError'));
+    });
+});
+
+describe('brand based identity', function () {
+    var path = require('path'),
+        lib = path.join(__dirname, '..', 'lib') + path.sep,
+        other;
+
+    // load a second copy of the module as duplicate installs do
+    before(function () {
+        var saved = {};
+        Object.keys(require.cache).forEach(function (key) {
+            if (key.indexOf(lib) === 0) {
+                saved[key] = require.cache[key];
+                delete require.cache[key];
+            }
+        });
+        other = require('../lib/eros');
+        Object.keys(require.cache).forEach(function (key) {
+            if (key.indexOf(lib) === 0) {
+                delete require.cache[key];
+            }
+        });
+        Object.keys(saved).forEach(function (key) {
+            require.cache[key] = saved[key];
+        });
+    });
+
+    it('keeps the built-in errors out of the generated codes', function () {
+        t.equal(other.MultiError.code, 98);
+        t.equal(other.find(98), other.MultiError);
+        t.equal(other.ValidationError.code, 99);
+        t.equal(other.define({name: 'FirstUserError'}).code, 601);
+    });
+
+    it('recognizes errors of another copy', function () {
+        t.notEqual(other.NotFoundError, eros.NotFoundError);
+        t.ok(eros.isError(other.notFound()));
+        t.ok(other.isError(eros.notFound()));
+        t.equal(eros.from(other.conflict()).name, 'ConflictError');
+    });
+
+    it('matches instanceof by name across copies', function () {
+        var err = other.notFound('No such user');
+        t.instanceOf(err, eros.NotFoundError);
+        t.instanceOf(err, eros.HttpError);
+        t.notInstanceOf(err, eros.ConflictError);
+        t.instanceOf(new other.BadGatewayError(), eros.InternalError);
+        t.notInstanceOf(new Error(), eros.InternalError);
+    });
+
+    it('matches instanceof by explicit code across copies', function () {
+        var Mine = eros.define({name: 'LedgerLockedError', code: 7800}),
+            Theirs = other.define({name: 'LedgerBusyError', code: 7800}),
+            Auto = other.define({name: 'LedgerAutoError'});
+        t.instanceOf(new Theirs(), Mine);
+        t.notInstanceOf(new Auto(), eros.find(Auto.code) || Mine);
+    });
+
+    it('keeps registries of the same copy apart', function () {
+        var a = eros.createRegistry(), b = eros.createRegistry();
+        a.define({name: 'QuotaError'});
+        b.define({name: 'QuotaError'});
+        t.notInstanceOf(new a.QuotaError(), b.QuotaError);
+    });
+
+    it('checks errors with eros.is()', function () {
+        var err = other.notFound();
+        t.ok(eros.is(err, eros.NotFoundError));
+        t.ok(eros.is(err, 'NotFoundError'));
+        t.ok(eros.is(err, 404));
+        t.ok(eros.is(err));
+        t.notOk(eros.is(err, eros.ConflictError));
+        t.notOk(eros.is(err, 'NoSuchError'));
+        t.notOk(eros.is(new Error(), eros.InternalError));
+        t.notOk(eros.is({code: 404, explanation: 'x'}, 404));
+    });
+});
+describe('cause chaining', function () {
+    var DBError = eros.define('CausedDBError'),
+        native = new Error('connection refused'),
+        dbError = new DBError('query failed', {cause: native}),
+        err = eros.wrap(dbError, eros.InternalError, 'Could not load user');
+
+    it('keeps the cause on the instance', function () {
+        t.equal(dbError.cause, native);
+        t.equal(err.cause, dbError);
+        t.instanceOf(err, eros.InternalError);
+        t.equal(err.message, 'Could not load user');
+    });
+
+    it('does not expose cause as an extra property', function () {
+        t.notInclude(Object.keys(err), 'cause');
+        t.notInclude(err.toString(), 'cause: ');
+    });
+
+    it('rejects causes that are not errors', function () {
+        t.throw(function () {new DBError({cause: 'boom'});}, TypeError);
+    });
+
+    it('accepts causes from another vm context', function () {
+        var foreign = require('vm').runInNewContext('new Error("disk full")'),
+            wrapped = eros.wrap(foreign, 'x');
+        t.notOk(foreign instanceof Error);
+        t.equal(wrapped.cause, foreign);
+        t.equal(eros.multi([foreign]).errors[0], foreign);
+    });
+
+    it('wrap() defaults to InternalError', function () {
+        var wrapped = eros.wrap(native, 'Something broke');
+        t.instanceOf(wrapped, eros.InternalError);
+        t.equal(wrapped.message, 'Something broke');
+        t.equal(wrapped.cause, native);
+    });
+
+    it('toString() should print the causal chain', function () {
+        var str = err.toString();
+        t.include(str, 'caused by: CausedDBError: query failed');
+        t.include(str, 'caused by: Error: connection refused');
+    });
+
+    it('stack should include the stacks of the causal chain', function () {
+        t.include(err.stack, 'caused by: ' + dbError.stack);
+        t.include(err.stack, native.stack);
+    });
+
+    it('toJSON() should include a nested cause', function () {
+        var json = JSON.parse(JSON.stringify(err));
+        t.equal(json.cause.name, 'CausedDBError');
+        t.equal(json.cause.message, 'query failed');
+        t.deepEqual(json.cause.cause, {name: 'Error', message: 'connection refused'});
+    });
+});
+
+describe('eros.fromJSON()', function () {
+    var RehydratedError = eros.define({
+        name: 'RehydratedError',
+        defaultExplanation: 'Something went sideways',
+        defaultResponse: 'Try again later'
+    });
+
+    it('rebuilds an instance of the registered constructor', function () {
+        var err = eros.fromJSON(JSON.stringify(eros.notFound('No such user', {id: 7})));
+        t.instanceOf(err, eros.NotFoundError);
+        t.equal(err.message, 'No such user');
+        t.equal(err.status, 404);
+        t.deepEqual(err.data, {id: 7});
+    });
+
+    it('preserves explanation, response, extras and stack', function () {
+        var orig = new RehydratedError({status: 503, refID: 'x1'}),
+            err = eros.fromJSON({name: 'RehydratedError', code: orig.code, status: 503,
+                explanation: 'Changed', response: orig.response, refID: 'x1', stack: orig.stack});
+        t.instanceOf(err, RehydratedError);
+        t.equal(err.code, orig.code);
+        t.equal(err.status, 503);
+        t.equal(err.explanation, 'Changed');
+        t.equal(err.response, 'Try again later');
+        t.equal(err.refID, 'x1');
+        t.equal(err.stack, orig.stack);
+    });
+
+    it('rebuilds the causal chain', function () {
+        var orig = eros.wrap(new TypeError('bad input'), eros.BadGatewayError, 'Upstream failed'),
+            err = eros.fromJSON(orig.toJSON());
+        t.instanceOf(err, eros.BadGatewayError);
+        t.instanceOf(err.cause, TypeError);
+        t.equal(err.cause.message, 'bad input');
+    });
+
+    it('falls back to the nearest known code', function () {
+        t.instanceOf(eros.fromJSON({name: 'UnknownError', code: 4711, status: 409}), eros.ConflictError);
+        t.instanceOf(eros.fromJSON({name: 'UnknownError', code: 4711, status: 599}), eros.InternalError);
+        var err = eros.fromJSON({name: 'UnknownError', code: 4711});
+        t.equal(err.constructor, eros.HttpError);
+        t.equal(err.code, 4711);
+    });
+
+    it('ignores names and codes of Object.prototype members', function () {
+        ['hasOwnProperty', 'constructor', 'toString', '__proto__'].forEach(function (key) {
+            t.notOk(eros.find(key), key);
+            var err = eros.fromJSON({name: key, code: key, status: 409, message: 'Taken'});
+            t.instanceOf(err, eros.ConflictError, key);
+            t.equal(err.message, 'Taken');
+        });
+        t.instanceOf(JSON.parse('{"e":{"name":"hasOwnPropertyError","code":"constructor","status":500,"message":"x"}}',
+            eros.reviver).e, eros.InternalError);
+        t.instanceOf(eros.fromProblem({status: 404, type: 'about:blank', code: 'toString'}), eros.NotFoundError);
+        t.instanceOf(eros.from({code: 'constructor', message: 'x'}), eros.InternalError);
+    });
+
+    it('can be used as a JSON.parse() reviver', function () {
+        var msg = JSON.parse(JSON.stringify({ok: false, error: eros.forbidden('Nope')}), eros.reviver);
+        t.equal(msg.ok, false);
+        t.instanceOf(msg.error, eros.ForbiddenError);
+        t.equal(msg.error.message, 'Nope');
+    });
+
+    it('leaves other objects to the reviver alone', function () {
+        var user = JSON.parse('{"user":{"name":"Bob","code":"X1","status":"active"}}', eros.reviver).user;
+        t.notOk(user instanceof Error);
+        t.equal(user.name, 'Bob');
+        user = JSON.parse('{"user":{"name":"Bob","code":"X1","status":200,"message":"Hi"}}', eros.reviver).user;
+        t.notOk(user instanceof Error);
+    });
+});
+
+describe('eros.createRegistry()', function () {
+    var billing = eros.createRegistry({codeRange: [1000, 1001], prefix: 'Billing'}),
+        shipping = eros.createRegistry(),
+        BillingPlanError = billing.define({name: 'PlanError'}),
+        ShippingPlanError = shipping.define({name: 'PlanError'});
+
+    it('exposes define, find, isError and stacks', function () {
+        ['define', 'find', 'isError', 'stacks', 'strict'].forEach(function (method) {
+            t.isFunction(billing[method]);
+        });
+    });
+
+    it('defines constructors in the registry scope', function () {
+        t.equal(billing.PlanError, BillingPlanError);
+        t.equal(shipping.PlanError, ShippingPlanError);
+        t.notOk(eros.find('PlanError'));
+    });
+
+    it('prefixes error names', function () {
+        var err = new BillingPlanError();
+        t.equal(err.name, 'BillingPlanError');
+        t.equal(billing.find('BillingPlanError'), BillingPlanError);
+        t.equal(billing.find('PlanError'), BillingPlanError);
+    });
+
+    it('keeps names and codes isolated', function () {
+        t.equal(new BillingPlanError().code, 1000);
+        t.equal(new ShippingPlanError().code, 600);
+        t.equal(billing.find(1000), BillingPlanError);
+        t.equal(shipping.find(600), ShippingPlanError);
+        t.notEqual(eros.find(600), ShippingPlanError);
+    });
+
+    it('isError() only accepts errors of the registry', function () {
+        t.ok(billing.isError(new BillingPlanError()));
+        t.notOk(billing.isError(new ShippingPlanError()));
+        t.notOk(shipping.isError(eros.notFound()));
+        t.ok(eros.isError(new ShippingPlanError()));
+    });
+
+    it('keeps the stacks setting per registry', function () {
+        billing.stacks(true);
+        t.equal(billing.stacks(), true);
+        t.equal(eros.stacks(), false);
+        t.include(new BillingPlanError().toString(), '    at ');
+        t.notInclude(new ShippingPlanError().toString(), '    at ');
+        billing.stacks(false);
+    });
+
+    it('throws when the code range is exhausted', function () {
+        billing.define('QuotaError');
+        t.throw(function () { billing.define('LimitError'); }, RangeError);
+    });
+
+    it('overwrites duplicates unless strict', function () {
+        var registry = eros.createRegistry(),
+            First = registry.define({name: 'DuplicateError', code: 700}),
+            Second = registry.define({name: 'DuplicateError', code: 700});
+        t.notEqual(First, Second);
+        t.equal(registry.find('DuplicateError'), Second);
+    });
+
+    it('throws on duplicate names or codes when strict', function () {
+        var registry = eros.createRegistry({strict: true});
+        registry.define({name: 'DuplicateError', code: 700});
+        t.throw(function () { registry.define({name: 'DuplicateError'}); }, /already defined/);
+        t.throw(function () { registry.define({name: 'OtherError', code: 700}); }, /already used by DuplicateError/);
+    });
+
+    it('supports strict mode on the default registry', function () {
+        t.equal(eros.strict(), false);
+        eros.strict(true);
+        try {
+            t.throw(function () { eros.define(eros.HttpError, 'NotFoundError', {code: 404}); }, /already defined/);
+        } finally {
+            eros.strict(false);
+        }
+    });
+});
+
+describe('localization', function () {
+    var registry = eros.createRegistry(),
+        QuotaError = registry.define({
+            name: 'QuotaError',
+            code: 1200,
+            defaultMessage: 'Quota exceeded',
+            defaultExplanation: 'The account used up its quota',
+            defaultResponse: 'Upgrade your plan'
+        });
+
+    registry.addLocale('de', {
+        QuotaError: {message: 'Kontingent überschritten', explanation: 'Das Konto hat sein Kontingent aufgebraucht'}
+    });
+    registry.addLocale('fr', {
+        1200: {message: 'Quota dépassé'}
+    });
+
+    it('translates default texts by name', function () {
+        var err = new QuotaError().localize('de');
+        t.instanceOf(err, QuotaError);
+        t.equal(err.message, 'Kontingent überschritten');
+        t.equal(err.explanation, 'Das Konto hat sein Kontingent aufgebraucht');
+        t.equal(err.response, 'Upgrade your plan');
+    });
+
+    it('formats the stacks of copies separately', function () {
+        var err = new QuotaError(), localized = err.localize('de');
+        t.match(localized.stack, /^QuotaError: Kontingent überschritten\n/);
+        t.match(err.stack, /^QuotaError: Quota exceeded\n/);
+        err = new QuotaError();
+        t.match(err.stack, /^QuotaError: Quota exceeded\n/);
+        t.match(err.localize('de').stack, /^QuotaError: Kontingent überschritten\n/);
+    });
+
+    it('translates default texts by code', function () {
+        t.equal(new QuotaError().localize('fr').message, 'Quota dépassé');
+    });
+
+    it('falls back from region to language', function () {
+        t.equal(new QuotaError().localize('DE-ch').message, 'Kontingent überschritten');
+    });
+
+    it('uses the first locale with a translation', function () {
+        t.equal(new QuotaError().localize(['it', 'fr', 'de']).message, 'Quota dépassé');
+    });
+
+    it('keeps the English defaults as fallback', function () {
+        var err = new QuotaError();
+        t.equal(err.localize('it'), err);
+        t.equal(err.message, 'Quota exceeded');
+    });
+
+    it('keeps texts passed at construction time', function () {
+        t.equal(new QuotaError('Only 3 seats allowed').localize('de').message, 'Only 3 seats allowed');
+    });
+
+    it('toJSON() renders the requested locale', function () {
+        var err = new QuotaError({refID: 'a1'}),
+            json = err.toJSON({locale: 'de'});
+        t.equal(json.message, 'Kontingent überschritten');
+        t.equal(json.refID, 'a1');
+        t.equal(json.code, 1200);
+        t.equal(err.toJSON().message, 'Quota exceeded');
+    });
+});
+
+describe('message templates', function () {
+    var RecordNotFoundError = eros.define({
+            name: 'RecordNotFoundError',
+            parent: eros.NotFoundError,
+            defaultMessage: 'Record {id} not found in {table}',
+            defaultExplanation: 'No row with id {id}',
+            defaultResponse: 'Check the {missing} parameter'
+        }),
+        err = new RecordNotFoundError({id: 42, table: 'users', refID: 'r1'});
+
+    it('fills placeholders from the options', function () {
+        t.equal(err.message, 'Record 42 not found in users');
+        t.equal(err.explanation, 'No row with id 42');
+    });
+
+    it('keeps unknown placeholders', function () {
+        t.equal(err.response, 'Check the {missing} parameter');
+    });
+
+    it('copies the referenced options into the parameters', function () {
+        t.deepEqual(err.params, {id: 42, table: 'users'});
+        t.equal(err.id, 42);
+        t.equal(err.table, 'users');
+        t.equal(err.refID, 'r1');
+    });
+
+    it('includes the parameters in toJSON()', function () {
+        t.deepEqual(err.toJSON().params, {id: 42, table: 'users'});
+    });
+
+    it('exposes the template on the class and instance', function () {
+        t.equal(RecordNotFoundError.template, 'Record {id} not found in {table}');
+        t.equal(err.template, 'Record {id} not found in {table}');
+    });
+
+    it('renders messages passed at construction time with explicit params', function () {
+        var custom = new RecordNotFoundError('Missing {table} row', {params: {table: 'orders'}});
+        t.equal(custom.message, 'Missing orders row');
+        t.equal(custom.template, 'Missing {table} row');
+    });
+
+    it('does not fill options into messages passed at construction time', function () {
+        var custom = new RecordNotFoundError('Missing {table} row', {table: 'orders'});
+        t.equal(custom.message, 'Missing {table} row');
+        t.equal(custom.table, 'orders');
+
+        var err = eros.badRequest('Unexpected token { in {data}', 'secret-token-abc');
+        t.equal(err.message, 'Unexpected token { in {data}');
+        t.equal(err.data, 'secret-token-abc');
+        t.notProperty(err, 'params');
+
+        err = eros.forbidden('User {data} may not do that', {password: 'hunter2'});
+        t.equal(err.message, 'User {data} may not do that');
+        t.deepEqual(err.data, {password: 'hunter2'});
+    });
+
+    it('survives a JSON round trip', function () {
+        var copy = eros.fromJSON(JSON.stringify(err));
+        t.instanceOf(copy, RecordNotFoundError);
+        t.equal(copy.message, err.message);
+        t.deepEqual(copy.params, err.params);
+    });
+
+    it('renders localized templates', function () {
+        eros.addLocale('nl', {RecordNotFoundError: {message: 'Record {id} niet gevonden'}});
+        t.equal(err.localize('nl').message, 'Record 42 niet gevonden');
+    });
+});
+
+describe('HTTP errors', function () {
+    var statuses = {
+        BadRequestError: 400, UnauthorizedError: 401, ImATeapotError: 418,
+        UnprocessableEntityError: 422, LockedError: 423, FailedDependencyError: 424,
+        TooEarlyError: 425, UpgradeRequiredError: 426, PreconditionRequiredError: 428,
+        TooManyRequestsError: 429, HeaderFieldsTooLargeError: 431,
+        UnavailableForLegalReasonsError: 451, VariantAlsoNegotiatesError: 506,
+        InsufficientStorageError: 507, LoopDetectedError: 508, NotExtendedError: 510,
+        NetworkAuthRequiredError: 511
+    };
+
+    Object.keys(statuses).forEach(function (name) {
+        it(name + ' has status ' + statuses[name], function () {
+            var factory = name.charAt(0).toLowerCase() + name.slice(1, -5),
+                err = eros[factory]('failed');
+            t.equal(eros.find(statuses[name]), eros[name]);
+            t.instanceOf(err, eros[name]);
+            t.instanceOf(err, eros.HttpError);
+            t.equal(err.status, statuses[name]);
+            t.equal(err.message, 'failed');
+        });
+    });
+
+    it('5xx errors extend InternalError', function () {
+        t.instanceOf(eros.insufficientStorage(), eros.InternalError);
+        t.notInstanceOf(eros.tooManyRequests(), eros.InternalError);
+    });
+
+    it('401 carries a WWW-Authenticate challenge', function () {
+        var err = eros.unauthorized('Token expired', 'Bearer realm="api", error="invalid_token"');
+        t.deepEqual(err.headers, {'WWW-Authenticate': 'Bearer realm="api", error="invalid_token"'});
+        t.deepEqual(eros.unauthorized().headers, {});
+    });
+
+    it('405 carries the allowed methods', function () {
+        t.deepEqual(eros.methodNotAllowed('Nope', null, ['GET', 'HEAD']).headers, {'Allow': 'GET, HEAD'});
+    });
+
+    it('429 and 503 carry Retry-After', function () {
+        var date = new Date(Date.UTC(2030, 0, 1));
+        t.deepEqual(eros.tooManyRequests('Slow down', null, 2.5).headers, {'Retry-After': '3'});
+        t.deepEqual(eros.serverTimeout('Down', null, date).headers, {'Retry-After': date.toUTCString()});
+    });
+
+    it('headers can be passed at construction time', function () {
+        var err = new eros.TooManyRequestsError({retryAfter: 10, headers: {'X-RateLimit-Limit': '100'}});
+        t.deepEqual(err.headers, {'X-RateLimit-Limit': '100', 'Retry-After': '10'});
+    });
+
+    it('headers are not serialized', function () {
+        var err = eros.tooManyRequests('Slow down', null, 10);
+        t.notProperty(err.toJSON(), 'headers');
+        t.equal(err.toJSON().retryAfter, 10);
+        t.deepEqual(eros.fromJSON(err.toJSON()).headers, {'Retry-After': '10'});
+    });
+});
+
+describe('eros.from()', function () {
+    function sysError(code, message) {
+        var err = new Error(code + ': ' + message);
+        err.code = code;
+        err.syscall = 'open';
+        return err;
+    }
+
+    it('returns eros errors as is', function () {
+        var err = eros.notFound();
+        t.equal(eros.from(err), err);
+    });
+
+    it('maps system error codes', function () {
+        t.instanceOf(eros.from(sysError('ENOENT', 'no such file')), eros.NotFoundError);
+        t.instanceOf(eros.from(sysError('EACCES', 'permission denied')), eros.ForbiddenError);
+        t.instanceOf(eros.from(sysError('ECONNREFUSED', 'connection refused')), eros.BadGatewayError);
+        t.instanceOf(eros.from(sysError('ETIMEDOUT', 'timed out')), eros.GatewayTimeoutError);
+    });
+
+    it('keeps the original error as cause', function () {
+        var native = sysError('ENOENT', 'no such file'),
+            err = eros.from(native);
+        t.equal(err.cause, native);
+        t.equal(err.message, eros.NotFoundError.template);
+        t.equal(err.status, 404);
+        t.equal(eros.from(native, {message: true}).message, native.message);
+    });
+
+    it('does not expose the native message to the public', function () {
+        var json = JSON.stringify(eros.from(sysError('ENOENT', "no such file or directory, open '/etc/secret-dir/creds.json'"))
+            .toJSON({audience: 'public'}));
+        t.notInclude(json, 'ENOENT');
+        t.notInclude(json, '/etc/secret-dir');
+    });
+
+    it('maps native constructors', function () {
+        t.instanceOf(eros.from(new SyntaxError('Unexpected token')), eros.BadRequestError);
+        t.instanceOf(eros.from(new TypeError('x is not a function')), eros.BadImplementationError);
+        t.instanceOf(eros.from(new Error('boom')), eros.InternalError);
+    });
+
+    it('keeps errors of another vm context as cause', function () {
+        var foreign = require('vm').runInNewContext('new TypeError("x is not a function")'),
+            err = eros.from(foreign);
+        t.instanceOf(err, eros.BadImplementationError);
+        t.equal(err.cause, foreign);
+    });
+
+    it('maps HTTP status properties', function () {
+        var err = new Error('Payload too large');
+        err.statusCode = 413;
+        t.instanceOf(eros.from(err), eros.EntityTooLargeError);
+    });
+
+    it('converts thrown primitives', function () {
+        var err = eros.from('boom');
+        t.instanceOf(err, eros.InternalError);
+        t.notEqual(err.message, 'boom');
+        t.equal(err.cause.message, 'boom');
+        t.equal(eros.from('boom', {message: true}).message, 'boom');
+    });
+
+    it('returns the constructor errors are converted into', function () {
+        t.equal(eros.classOf(sysError('ENOENT', 'no such file')), eros.NotFoundError);
+        t.equal(eros.classOf(new SyntaxError('Unexpected token')), eros.BadRequestError);
+        t.equal(eros.classOf('boom'), eros.InternalError);
+        t.equal(eros.classOf(eros.conflict()), eros.ConflictError);
+    });
+
+    it('lets users extend the mapping', function () {
+        eros.codeMap.ERR_TEST_CODE = eros.LockedError;
+        try {
+            t.instanceOf(eros.from(sysError('ERR_TEST_CODE', 'locked')), eros.LockedError);
+        } finally {
+            delete eros.codeMap.ERR_TEST_CODE;
+        }
+    });
+});
+
+describe('MultiError', function () {
+    var err = eros.multi([eros.notFound('No user 1'), eros.conflict('User 2 exists'), new Error('disk full')]);
+
+    it('keeps the aggregated errors', function () {
+        t.instanceOf(err, eros.MultiError);
+        t.instanceOf(err, eros.HttpError);
+        t.lengthOf(err.errors, 3);
+        t.notInclude(Object.keys(err), 'errors');
+    });
+
+    it('converts aggregated values which are not errors', function () {
+        var multi = eros.multi(['ETIMEDOUT', {name: 'LeaseError', message: 'Lease lost', status: 409}]);
+        t.instanceOf(multi.errors[0], eros.InternalError);
+        t.instanceOf(multi.errors[1], eros.ConflictError);
+        t.equal(multi.status, 500);
+        t.deepEqual(multi.toJSON().errors.map(function (e) { return e.message; }), ['ETIMEDOUT', 'Lease lost']);
+        multi.errors.push('EPIPE');
+        t.deepEqual(multi.toJSON().errors[2], {name: 'Error', message: 'EPIPE'});
+    });
+
+    it('derives the status from the errors', function () {
+        t.equal(err.status, 500);
+        t.equal(eros.multi([eros.notFound(), eros.conflict()]).status, 400);
+        t.equal(eros.multi([eros.notFound(), eros.notFound()]).status, 404);
+        t.equal(eros.multi([]).status, 500);
+        t.equal(new eros.MultiError({errors: [eros.conflict()], status: 422}).status, 422);
+    });
+
+    it('lets the status policy be replaced', function () {
+        var policy = eros.MultiError.policy;
+        eros.MultiError.policy = function (statuses) {
+            return Math.max.apply(Math, statuses);
+        };
+        try {
+            t.equal(eros.multi([eros.notFound(), eros.conflict()]).status, 409);
+        } finally {
+            eros.MultiError.policy = policy;
+        }
+    });
+
+    it('renders every error in toString()', function () {
+        var str = err.toString();
+        t.include(str, 'error 1 of 3: NotFoundError: No user 1\n    Code: 404');
+        t.include(str, 'error 2 of 3: ConflictError: User 2 exists');
+        t.include(str, 'error 3 of 3: Error: disk full');
+    });
+
+    it('renders every error in toJSON()', function () {
+        var json = err.toJSON();
+        t.deepEqual(json.errors.map(function (e) { return e.name; }), ['NotFoundError', 'ConflictError', 'Error']);
+    });
+
+    it('survives a JSON round trip', function () {
+        var copy = eros.fromJSON(JSON.stringify(err));
+        t.instanceOf(copy, eros.MultiError);
+        t.instanceOf(copy.errors[0], eros.NotFoundError);
+        t.instanceOf(copy.errors[2], Error);
+        t.equal(copy.status, 500);
+    });
+
+    it('rejects errors that are not a list', function () {
+        t.throw(function () { new eros.MultiError({errors: eros.notFound()}); }, TypeError);
+    });
+});
+
+describe('audience', function () {
+    var PaymentError = eros.define({
+            name: 'PaymentError',
+            parent: eros.HttpError,
+            status: 402,
+            defaultExplanation: 'The card was declined by the acquirer',
+            defaultResponse: 'Check the acquirer logs',
+            'public': ['response'],
+            internal: ['acquirerId']
+        }),
+        LedgerError = eros.define({
+            name: 'LedgerError',
+            defaultExplanation: 'The ledger is out of balance',
+            'public': ['refID']
+        });
+
+    it('renders every field without an audience', function () {
+        var json = new PaymentError({acquirerId: 'a1', orderId: 'o1'}).toJSON();
+        t.equal(json.explanation, 'The card was declined by the acquirer');
+        t.equal(json.acquirerId, 'a1');
+    });
+
+    it('renders only public fields for the public', function () {
+        var json = new PaymentError({acquirerId: 'a1', orderId: 'o1'}).toJSON({audience: 'public'});
+        t.equal(json.name, 'PaymentError');
+        t.equal(json.status, 402);
+        t.equal(json.orderId, 'o1');
+        t.equal(json.response, 'Check the acquirer logs');
+        t.notProperty(json, 'explanation');
+        t.notProperty(json, 'acquirerId');
+    });
+
+    it('collapses server errors for the public', function () {
+        var cause = new Error('ECONNRESET'),
+            json = new LedgerError({refID: 'r1', account: 'acc1', cause: cause}).toJSON({audience: 'public'});
+        t.deepEqual(json, {status: 500, message: 'Internal Server Error', refID: 'r1'});
+        t.deepEqual(eros.serverTimeout('Pool exhausted').toJSON({audience: 'public'}),
+            {status: 503, message: 'Service Unavailable'});
+    });
+
+    it('collapses developer errors for the public', function () {
+        var json = eros.badImplementation('x is undefined').toJSON({audience: 'public'});
+        t.equal(json.message, 'HTTP Version Not Supported');
+        t.notProperty(json, 'isDeveloperError');
+    });
+
+    it('renders every detail for internal audiences', function () {
+        var err = eros.wrap(new Error('ECONNRESET'), new LedgerError({account: 'acc1'}).constructor),
+            json = err.toJSON({audience: 'internal'});
+        t.equal(eros.stacks(), false);
+        t.property(json, 'stack');
+        t.equal(json.explanation, 'The ledger is out of balance');
+        t.equal(json.cause.message, 'ECONNRESET');
+        t.property(json.cause, 'stack');
+    });
+
+    it('applies the audience to problem details', function () {
+        var problem = new LedgerError({refID: 'r1', account: 'acc1'}).toProblem({audience: 'public'});
+        t.equal(problem.detail, 'Internal Server Error');
+        t.equal(problem.code, 500);
+        t.equal(problem.refID, 'r1');
+        t.notProperty(problem, 'account');
+    });
+});
+
+describe('hierarchical codes', function () {
+    var registry = eros.createRegistry();
+    registry.define({name: 'DBConnectionTimeoutError', code: 'DB.CONN.TIMEOUT'});
+    registry.define({name: 'DBConnectionRefusedError', code: 'DB.CONN.REFUSED'});
+    registry.define({name: 'DBQueryError', code: 'DB.QUERY', status: 400});
+    registry.define({name: 'CacheMissError', code: 'CACHE.MISS'});
+
+    it('keeps string codes and falls back to status 500', function () {
+        var err = new registry.DBConnectionTimeoutError();
+        t.equal(err.code, 'DB.CONN.TIMEOUT');
+        t.equal(err.status, 500);
+        t.equal(new registry.DBQueryError().status, 400);
+        t.include(err.toString(), 'Code: DB.CONN.TIMEOUT');
+    });
+
+    it('finds constructors by string code', function () {
+        t.equal(registry.find('DB.QUERY'), registry.DBQueryError);
+        t.notOk(registry.find('DB'));
+    });
+
+    it('finds constructors by pattern', function () {
+        t.deepEqual(registry.find('DB.*'), [
+            registry.DBConnectionRefusedError,
+            registry.DBConnectionTimeoutError,
+            registry.DBQueryError
+        ]);
+        t.deepEqual(registry.find('DB.*.TIMEOUT'), [registry.DBConnectionTimeoutError]);
+        t.deepEqual(registry.find('*.MISS'), [registry.CacheMissError]);
+        t.deepEqual(registry.find('QUEUE.*'), []);
+    });
+
+    it('checks errors against patterns with eros.is()', function () {
+        var LedgerLockedError = eros.define({name: 'LedgerLockedError', code: 'LEDGER.LOCKED'}),
+            err = new LedgerLockedError();
+        t.ok(eros.is(err, 'LEDGER.*'));
+        t.ok(eros.is(err, '*.LOCKED'));
+        t.notOk(eros.is(err, 'QUEUE.*'));
+        t.notOk(eros.is(eros.notFound(), 'LEDGER.*'));
+    });
+
+    it('does not rehydrate patterns', function () {
+        var err = eros.fromJSON({name: 'LedgerStateError', code: 'LEDGER.*', status: 409, message: 'Locked'});
+        t.instanceOf(err, eros.ConflictError);
+        t.equal(err.message, 'Locked');
+    });
+});
+
+describe('reserved code ranges', function () {
+    it('generates codes from the reserved range', function () {
+        var registry = eros.createRegistry(),
+            billing = registry.reserve('billing', [1000, 1099]);
+        billing({name: 'CardDeclinedError'});
+        billing('CardExpiredError', {defaultMessage: 'Card expired'});
+        t.equal(registry.CardDeclinedError.code, 1000);
+        t.equal(registry.CardExpiredError.code, 1001);
+        t.equal(new registry.CardExpiredError().message, 'Card expired');
+    });
+
+    it('does not depend on the load order', function () {
+        function load(order) {
+            var registry = eros.createRegistry(),
+                modules = {
+                    billing: function () {
+                        registry.reserve('billing', [1000, 1099])({name: 'CardDeclinedError'});
+                    },
+                    shipping: function () {
+                        registry.reserve('shipping', [1100, 1199])({name: 'ParcelLostError'});
+                    },
+                    other: function () {
+                        registry.define({name: 'OtherError'});
+                    }
+                };
+            order.forEach(function (name) { modules[name](); });
+            return [registry.CardDeclinedError.code, registry.ParcelLostError.code];
+        }
+        t.deepEqual(load(['billing', 'shipping', 'other']), [1000, 1100]);
+        t.deepEqual(load(['other', 'shipping', 'billing']), [1000, 1100]);
+    });
+
+    it('skips reserved ranges when generating other codes', function () {
+        var registry = eros.createRegistry({codeRange: [1000, Infinity]});
+        registry.reserve('billing', [1000, 1099]);
+        t.equal(registry.define({name: 'OtherError'}).code, 1100);
+    });
+
+    it('rejects overlapping ranges and ranges in use', function () {
+        var registry = eros.createRegistry({codeRange: [1000, 1999]});
+        registry.reserve('billing', [1200, 1299]);
+        t.doesNotThrow(function () {
+            registry.reserve('billing', [1200, 1299]);
+        });
+        t.throws(function () {
+            registry.reserve('shipping', [1250, 1349]);
+        }, /overlaps the range 1200-1299 of 'billing'/);
+        registry.define({name: 'OtherError'});
+        t.throws(function () {
+            registry.reserve('shipping', [1000, 1099]);
+        }, /already in use by OtherError/);
+    });
+
+    it('throws when the reserved range is exhausted', function () {
+        var define = eros.createRegistry().reserve('tiny', [1000, 1000]);
+        define({name: 'OneError'});
+        t.throws(function () {
+            define({name: 'TwoError'});
+        }, /No free error code left in range 1000-1000/);
+    });
+
+    it('reserves ranges of the default registry', function () {
+        var define = eros.reserve('eros-test', [9100, 9199]);
+        t.equal(define({name: 'ReservedTestError'}).code, 9100);
+        t.equal(eros.find(9100), eros.ReservedTestError);
+    });
+});
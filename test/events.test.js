@@ -0,0 +1,84 @@
+"use strict";
+
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('events', function () {
+    var events, listener = function (err, format) {
+        events.push([err.name, format]);
+    };
+
+    beforeEach(function () {
+        events = [];
+        eros.on('create', listener).on('serialize', listener);
+    });
+
+    afterEach(function () {
+        eros.off('create', listener).off('serialize', listener);
+    });
+
+    it('emits create once per error', function () {
+        var err = new eros.GatewayTimeoutError();
+        t.deepEqual(events, [['GatewayTimeoutError', undefined]]);
+        t.instanceOf(err, eros.InternalError);
+    });
+
+    it('emits serialize for toJSON() and toString()', function () {
+        var err = eros.conflict('Taken');
+        events = [];
+        err.toJSON();
+        String(err);
+        t.deepEqual(events, [['ConflictError', 'json'], ['ConflictError', 'string']]);
+    });
+
+    it('stops emitting to removed listeners', function () {
+        eros.off('create', listener);
+        eros.notFound();
+        t.deepEqual(events, []);
+    });
+
+    it('emits the events of a registry to its listeners and the global ones', function () {
+        var registry = eros.createRegistry({prefix: 'Shop'}),
+            own = [];
+        registry.define({name: 'CartError'});
+        registry.on('create', function (err) {
+            own.push(err.name);
+        });
+        new registry.CartError();
+        eros.badRequest();
+        t.deepEqual(own, ['ShopCartError']);
+        t.deepEqual(events, [['ShopCartError', undefined], ['BadRequestError', undefined]]);
+    });
+});
+
+describe('eros.metrics', function () {
+    beforeEach(function () {
+        eros.metrics.reset();
+    });
+
+    it('counts errors by name, code and status', function () {
+        eros.notFound();
+        eros.notFound('No such user');
+        new eros.GatewayTimeoutError();
+        t.deepEqual(eros.metrics.counts(), [
+            {name: 'GatewayTimeoutError', code: 504, status: 504, count: 1},
+            {name: 'NotFoundError', code: 404, status: 404, count: 2}
+        ]);
+        eros.metrics.reset();
+        t.deepEqual(eros.metrics.counts(), []);
+    });
+
+    it('renders the Prometheus text format', function () {
+        var QuotedError = eros.define({name: 'QuotedError', code: 7700});
+        eros.notFound();
+        new QuotedError();
+        t.equal(eros.metrics.prometheus({name: 'app_errors_total'}), [
+            '# HELP app_errors_total Errors created, by name, code and status.',
+            '# TYPE app_errors_total counter',
+            'app_errors_total{name="NotFoundError",code="404",status="404"} 1',
+            'app_errors_total{name="QuotedError",code="7700",status="500"} 1',
+            ''
+        ].join('\n'));
+        t.include(eros.metrics.prometheus(), '# TYPE eros_errors_total counter\n');
+    });
+});
@@ -0,0 +1,105 @@
+"use strict";
+
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('fingerprints', function () {
+    var QuotaError = eros.define({
+        name: 'QuotaError',
+        code: 7600,
+        defaultMessage: 'Quota of {user} exceeded'
+    });
+
+    function create(msg) {
+        return new eros.NotFoundError(msg);
+    }
+
+    afterEach(function () {
+        eros.fingerprinting({fields: ['name', 'code', 'template', 'frames'], frames: 3});
+    });
+
+    it('returns a stable hash', function () {
+        var fp = create('No such user').fingerprint();
+        t.match(fp, /^[0-9a-f]{32}$/);
+        t.equal(create('No such user').fingerprint(), fp);
+    });
+
+    it('normalizes numbers and ids out of messages', function () {
+        t.equal(create('No user 7').fingerprint(), create('No user 1234').fingerprint());
+        t.equal(create('No order 3f2504e0-4f89-11d3-9a0c-0305e82c3301').fingerprint(),
+            create('No order 9b2d4c1a-0000-4000-8000-000000000000').fingerprint());
+        t.equal(create('No doc 507f1f77bcf86cd799439011').fingerprint(),
+            create('No doc 507f191e810c19729de860ea').fingerprint());
+        t.notEqual(create('No user 7').fingerprint(), create('No order 7').fingerprint());
+    });
+
+    it('uses the message template of defined errors', function () {
+        t.equal(new QuotaError({user: 'alice'}).fingerprint(), new QuotaError({user: 'bob'}).fingerprint());
+    });
+
+    it('takes the name and code into account', function () {
+        var a = new eros.NotFoundError('Gone'), b = new eros.ConflictError('Gone');
+        t.notEqual(a.fingerprint({fields: ['name', 'code', 'template']}),
+            b.fingerprint({fields: ['name', 'code', 'template']}));
+        t.equal(a.fingerprint({fields: ['template']}), b.fingerprint({fields: ['template']}));
+    });
+
+    it('takes the top application frames into account', function () {
+        var here = create('Oops'), there = (function elsewhere() {
+            return new eros.NotFoundError('Oops');
+        })();
+        t.notEqual(here.fingerprint(), there.fingerprint());
+        t.equal(here.fingerprint({fields: ['name', 'template']}), there.fingerprint({fields: ['name', 'template']}));
+    });
+
+    it('ignores line numbers and install locations', function () {
+        var err = create('Oops'),
+            moved = create('Oops');
+        Object.defineProperty(moved, 'stack', {
+            value: err.stack.replace(/:\d+:\d+\)/g, ':1:1)')
+        });
+        t.equal(moved.fingerprint(), err.fingerprint());
+        t.equal(moved.fingerprint({root: '/elsewhere'}), moved.fingerprint({root: '/elsewhere'}));
+        t.notEqual(moved.fingerprint({root: '/elsewhere'}), err.fingerprint());
+    });
+
+    it('skips ignored frames', function () {
+        var a = create('Oops'), b = (function elsewhere() {
+            return new eros.NotFoundError('Oops');
+        })();
+        var rules = {ignore: [/node_modules/, /^node:/, /fingerprint\.test\.js/]};
+        t.equal(a.fingerprint(rules), b.fingerprint(rules));
+    });
+
+    it('applies the global rules', function () {
+        var a = create('Oops'), b = new eros.ConflictError('Oops');
+        t.notEqual(a.fingerprint(), b.fingerprint());
+        eros.fingerprinting({fields: ['template']});
+        t.deepEqual(eros.fingerprinting().fields, ['template']);
+        t.equal(a.fingerprint(), b.fingerprint());
+    });
+
+    it('fingerprints native errors', function () {
+        var a = new TypeError('Cannot read property 7'),
+            b = new TypeError('Cannot read property 8');
+        t.equal(eros.fingerprint(a, {frames: 0}), eros.fingerprint(b, {frames: 0}));
+        t.notEqual(eros.fingerprint(a, {frames: 0}), eros.fingerprint(new RangeError('Cannot read property 7'), {frames: 0}));
+    });
+
+    it('stops at the stack traces of causes', function () {
+        var cause = new Error('Boom'),
+            a = create('Oops'),
+            b = create('Oops');
+        Object.defineProperty(b, 'stack', {value: a.stack + '\ncaused by: ' + cause.stack});
+        t.equal(b.fingerprint({frames: 10}), a.fingerprint({frames: 10}));
+    });
+
+    it('uses the frames of the log object', function () {
+        var err = create('Oops');
+        Object.defineProperty(err, 'stack', {
+            value: 'NotFoundError: Oops\ncaused by: Error: Boom\n    at boom (/app/boom.js:1:1)'
+        });
+        t.deepEqual(err.toLogObject().stack, []);
+        t.equal(err.fingerprint(), err.fingerprint({frames: 0}));
+    });
+});
@@ -0,0 +1,8 @@
+"use strict";
+
+var eros = require('../..');
+
+eros.define(eros.ServerTimeoutError, 'ShippingDelayedError', {
+    defaultMessage: 'Shipping is delayed',
+    defaultExplanation: 'The carrier does not accept new parcels'
+});
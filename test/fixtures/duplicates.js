@@ -0,0 +1,9 @@
+"use strict";
+
+var eros = require('../..');
+
+var registry = module.exports = eros.createRegistry();
+
+registry.define({name: 'PaymentError', code: 402});
+registry.define({name: 'CardError', code: 402});
+registry.define({name: 'CardError'});
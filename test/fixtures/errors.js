@@ -0,0 +1,13 @@
+"use strict";
+
+var eros = require('../..');
+
+var registry = module.exports = eros.createRegistry({codeRange: [8000, 8999]});
+
+registry.define(eros.InternalError, 'FatalDBError', {
+    defaultMessage: 'Database failure',
+    defaultExplanation: 'The primary database is unreachable',
+    defaultResponse: 'Fail over to the replica'
+});
+registry.define(registry.FatalDBError, 'DBTimeoutError', {code: 8100, status: 504});
+registry.define(registry.FatalDBError, 'DBPoolExhaustedError', {code: 'DB.POOL.EXHAUSTED'});
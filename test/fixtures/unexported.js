@@ -0,0 +1,7 @@
+"use strict";
+
+var eros = require('../..');
+
+var registry = eros.createRegistry();
+
+registry.define({name: 'OrphanedError'});
@@ -0,0 +1,77 @@
+"use strict";
+
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('gRPC status', function () {
+    var codes = eros.grpc.codes;
+
+    it('maps errors onto gRPC status codes', function () {
+        t.equal(eros.notFound().toGrpcStatus().code, codes.NOT_FOUND);
+        t.equal(eros.forbidden().toGrpcStatus().code, codes.PERMISSION_DENIED);
+        t.equal(eros.conflict().toGrpcStatus().code, codes.ALREADY_EXISTS);
+        t.equal(eros.gatewayTimeout().toGrpcStatus().code, codes.DEADLINE_EXCEEDED);
+        t.equal(eros.unauthorized().toGrpcStatus().code, codes.UNAUTHENTICATED);
+        t.equal(eros.badRequest().toGrpcStatus().code, codes.INVALID_ARGUMENT);
+        t.equal(eros.tooManyRequests().toGrpcStatus().code, codes.RESOURCE_EXHAUSTED);
+        t.equal(eros.serverTimeout().toGrpcStatus().code, codes.UNAVAILABLE);
+        t.equal(eros.notImplemented().toGrpcStatus().code, codes.UNIMPLEMENTED);
+        t.equal(eros.internal().toGrpcStatus().code, codes.INTERNAL);
+        t.equal(eros.imATeapot().toGrpcStatus().code, codes.INVALID_ARGUMENT);
+        t.equal(new eros.ValidationError().toGrpcStatus().code, codes.INVALID_ARGUMENT);
+    });
+
+    it('sends the message as details and extras as metadata', function () {
+        var status = eros.notFound('No such user', {userId: 7, token: 'abc'}).toGrpcStatus();
+        t.deepEqual(status, {
+            code: 5,
+            details: 'No such user',
+            metadata: {
+                'eros-name': 'NotFoundError',
+                'eros-code': '404',
+                data: '{"userId":7,"token":"***"}'
+            }
+        });
+        status = eros.tooManyRequests('Slow down', null, 30).toGrpcStatus();
+        t.equal(status.metadata['retry-after'], '30');
+    });
+
+    it('renders the public view', function () {
+        var status = eros.wrap(new Error('pool exhausted'), eros.InternalError).toGrpcStatus({audience: 'public'});
+        t.equal(status.details, 'Internal Server Error');
+        t.notProperty(status.metadata, 'eros-name');
+    });
+
+    it('rebuilds errors from gRPC status codes', function () {
+        var err = eros.fromGrpcStatus({code: codes.NOT_FOUND, details: 'No such user'});
+        t.instanceOf(err, eros.NotFoundError);
+        t.equal(err.message, 'No such user');
+        t.instanceOf(eros.fromGrpcStatus({code: 'PERMISSION_DENIED'}), eros.ForbiddenError);
+        t.instanceOf(eros.fromGrpcStatus({code: codes.ABORTED}), eros.ConflictError);
+        t.instanceOf(eros.fromGrpcStatus({code: codes.ALREADY_EXISTS}), eros.ConflictError);
+        t.instanceOf(eros.fromGrpcStatus({code: codes.DEADLINE_EXCEEDED}), eros.GatewayTimeoutError);
+        t.instanceOf(eros.fromGrpcStatus({code: codes.UNAVAILABLE}), eros.ServerTimeoutError);
+        t.instanceOf(eros.fromGrpcStatus({code: 99}), eros.InternalError);
+    });
+
+    it('round trips errors with their metadata', function () {
+        var Quota = eros.define({name: 'GrpcQuotaError', parent: eros.TooManyRequestsError, code: 'QUOTA.DAILY'}),
+            err = eros.fromGrpcStatus(new Quota('Daily quota used', {retryAfter: 60, data: {limit: 100}}).toGrpcStatus());
+        t.instanceOf(err, Quota);
+        t.equal(err.code, 'QUOTA.DAILY');
+        t.equal(err.message, 'Daily quota used');
+        t.equal(err.retryAfter, '60');
+        t.deepEqual(err.data, {limit: 100});
+    });
+
+    it('reads grpc-js Metadata objects', function () {
+        var metadata = {
+                getMap: function () {
+                    return {'eros-name': 'LockedError', 'eros-code': '423', 'lock-owner': 'job-7'};
+                }
+            },
+            err = eros.fromGrpcStatus({code: codes.FAILED_PRECONDITION, details: 'Locked', metadata: metadata});
+        t.instanceOf(err, eros.LockedError);
+        t.equal(err.lockOwner, 'job-7');
+    });
+});
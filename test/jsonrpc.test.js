@@ -0,0 +1,68 @@
+"use strict";
+
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('JSON-RPC 2.0 errors', function () {
+    it('predefines the standard codes', function () {
+        t.equal(eros.find(-32700), eros.RpcParseError);
+        t.equal(eros.find(-32600), eros.RpcInvalidRequestError);
+        t.equal(eros.find(-32601), eros.RpcMethodNotFoundError);
+        t.equal(eros.find(-32602), eros.RpcInvalidParamsError);
+        t.equal(eros.find(-32603), eros.RpcInternalError);
+        var err = new eros.RpcMethodNotFoundError();
+        t.equal(err.message, 'Method not found');
+        t.equal(err.status, 404);
+        t.instanceOf(err, eros.NotFoundError);
+    });
+
+    it('keeps the standard codes in error members', function () {
+        var rpc = new eros.RpcInvalidParamsError('id must be a number').toJsonRpc();
+        t.equal(rpc.code, -32602);
+        t.equal(rpc.message, 'id must be a number');
+        t.equal(rpc.data.name, 'RpcInvalidParamsError');
+    });
+
+    it('maps application errors into the server error range', function () {
+        var rpc = eros.notFound('No such user', {id: 7, password: 'x'}).toJsonRpc();
+        t.deepEqual(rpc, {
+            code: -32000,
+            message: 'No such user',
+            data: {code: 404, status: 404, name: 'NotFoundError', data: {id: 7, password: '***'}}
+        });
+        var RateError = eros.define({name: 'RpcRateError', code: -32050});
+        t.equal(new RateError().toJsonRpc().code, -32050);
+        t.equal(eros.conflict().toJsonRpc({audience: 'public'}).data.name, 'ConflictError');
+    });
+
+    it('round trips errors', function () {
+        var err = eros.fromJsonRpc({jsonrpc: '2.0', id: 1, error: eros.conflict('Taken', {id: 7}).toJsonRpc()});
+        t.instanceOf(err, eros.ConflictError);
+        t.equal(err.message, 'Taken');
+        t.deepEqual(err.data, {id: 7});
+        err = eros.fromJsonRpc(JSON.stringify(new eros.RpcParseError().toJsonRpc()));
+        t.instanceOf(err, eros.RpcParseError);
+        t.equal(err.code, -32700);
+    });
+
+    it('rebuilds foreign error members by code', function () {
+        var err = eros.fromJsonRpc({code: -32601, message: 'No method foo', data: 'foo'});
+        t.instanceOf(err, eros.RpcMethodNotFoundError);
+        t.equal(err.message, 'No method foo');
+        t.equal(err.data, 'foo');
+        err = eros.fromJsonRpc({error: {code: -32042, message: 'Backend busy'}});
+        t.instanceOf(err, eros.InternalError);
+        t.equal(err.code, -32042);
+        t.equal(err.message, 'Backend busy');
+    });
+
+    it('generates negative codes from reserved ranges', function () {
+        var registry = eros.createRegistry(),
+            define = registry.reserve('rpc', [-32099, -32001]);
+        t.equal(define({name: 'QueueFullError'}).code, -32099);
+        t.equal(define({name: 'QueueClosedError'}).code, -32098);
+        t.equal(registry.find(-32098), registry.QueueClosedError);
+        t.equal(new registry.QueueFullError().status, 500);
+        t.equal(registry.catalog().errors[0].code, -32099);
+    });
+});
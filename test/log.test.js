@@ -0,0 +1,85 @@
+"use strict";
+
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('structured logging', function () {
+    var StorageError = eros.define({
+        name: 'StorageError',
+        code: 7500,
+        defaultExplanation: 'The bucket is not writable',
+        redact: ['data.key']
+    });
+
+    it('returns the log object of an error', function () {
+        var obj = new StorageError('Upload failed', {data: {bucket: 'b1', key: 'k1'}}).toLogObject();
+        t.deepEqual(Object.keys(obj).slice(0, 4), ['name', 'code', 'status', 'message']);
+        t.equal(obj.name, 'StorageError');
+        t.equal(obj.code, 7500);
+        t.equal(obj.status, 500);
+        t.equal(obj.explanation, 'The bucket is not writable');
+        t.deepEqual(obj.data, {bucket: 'b1', key: '***'});
+    });
+
+    it('splits the stack into frames regardless of stacks()', function () {
+        var obj = new eros.NotFoundError('No such user').toLogObject();
+        t.equal(eros.stacks(), false);
+        t.isArray(obj.stack);
+        t.match(obj.stack[0], /log\.test\.js:\d+:\d+\)$/);
+        t.notProperty(eros.notFound().toLogObject({stack: false}), 'stack');
+    });
+
+    it('includes the cause chain', function () {
+        var root = new TypeError('x is undefined'),
+            err = eros.wrap(eros.wrap(root, eros.InternalError), StorageError),
+            obj = err.toLogObject();
+        t.equal(obj.cause.name, 'InternalError');
+        t.equal(obj.cause.cause.name, 'TypeError');
+        t.isArray(obj.cause.cause.stack);
+        t.ok(obj.stack.every(function (frame) { return frame.indexOf('caused by') < 0; }));
+    });
+
+    it('flattens nested objects', function () {
+        var obj = eros.wrap(new Error('ECONNRESET'), eros.BadGatewayError, {data: {host: 'db1'}})
+            .toLogObject({flat: true, stack: false});
+        t.deepEqual(obj, {
+            name: 'BadGatewayError',
+            code: 502,
+            status: 502,
+            message: 'An unexpected BadGatewayError occurred.',
+            'data.host': 'db1',
+            'cause.name': 'Error',
+            'cause.message': 'ECONNRESET'
+        });
+    });
+
+    it('serializes errors for pino and bunyan', function () {
+        var err = new Error('connect ECONNREFUSED');
+        err.code = 'ECONNREFUSED';
+        err.password = 'hunter2';
+        var obj = eros.serializers.err(err);
+        t.equal(obj.type, 'Error');
+        t.equal(obj.code, 'ECONNREFUSED');
+        t.equal(obj.password, '***');
+        t.isArray(obj.stack);
+        t.equal(eros.serializers.err('not an error'), 'not an error');
+        t.equal(eros.serializers.err(eros.conflict('Taken')).type, 'ConflictError');
+    });
+
+    it('serializes errors to the Elastic Common Schema', function () {
+        var err = eros.wrap(new Error('ECONNRESET'), eros.BadGatewayError, {message: 'Upstream down', data: {host: 'db1'}}),
+            record = eros.serializers.ecs(err);
+        t.equal(record.error.type, 'BadGatewayError');
+        t.equal(record.error.message, 'Upstream down');
+        t.equal(record.error.code, '502');
+        t.equal(record.error.stack_trace, err.stack);
+        t.equal(record.error.cause.message, 'ECONNRESET');
+        t.deepEqual(record.error.extra, {data: {host: 'db1'}});
+        t.equal(record.http.response.status_code, 502);
+
+        var flat = eros.serializers.ecs(err, {flat: true});
+        t.equal(flat['error.type'], 'BadGatewayError');
+        t.equal(flat['error.extra.data.host'], 'db1');
+        t.equal(flat['http.response.status_code'], 502);
+    });
+});
@@ -0,0 +1,206 @@
+"use strict";
+
+var http = require('http');
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('eros.middleware()', function () {
+    var server, port, thrown, logged = [];
+
+    var handler = eros.middleware({
+        log: function (err, req) {
+            logged.push([err, req.url]);
+        }
+    });
+
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            handler(thrown, req, res, function (err) {
+                res.end();
+            });
+        });
+        server.listen(0, '127.0.0.1', function () {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    function request(err, accept, cb) {
+        thrown = err;
+        var headers = accept ? {Accept: accept} : {};
+        http.get({host: '127.0.0.1', port: port, path: '/test', headers: headers}, function (res) {
+            var body = '';
+            res.setEncoding('utf8');
+            res.on('data', function (chunk) { body += chunk; });
+            res.on('end', function () { cb(res, body); });
+        });
+    }
+
+    it('responds with JSON by default', function (done) {
+        request(eros.notFound('No such user'), null, function (res, body) {
+            t.equal(res.statusCode, 404);
+            t.include(res.headers['content-type'], 'application/json');
+            t.deepEqual(JSON.parse(body), eros.notFound('No such user').toJSON());
+            done();
+        });
+    });
+
+    it('responds with plain text via toString()', function (done) {
+        var err = eros.conflict('Already exists');
+        request(err, 'text/plain', function (res, body) {
+            t.equal(res.statusCode, 409);
+            t.include(res.headers['content-type'], 'text/plain');
+            t.equal(body, err.toString());
+            done();
+        });
+    });
+
+    it('responds with escaped HTML', function (done) {
+        request(eros.badRequest('<script>'), 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8', function (res, body) {
+            t.equal(res.statusCode, 400);
+            t.include(res.headers['content-type'], 'text/html');
+            t.include(body, '&lt;script&gt;');
+            t.notInclude(body, '<script>');
+            done();
+        });
+    });
+
+    it('responds with problem details', function (done) {
+        request(eros.notFound('No such user'), 'application/problem+json', function (res, body) {
+            t.equal(res.statusCode, 404);
+            t.include(res.headers['content-type'], 'application/problem+json');
+            t.equal(JSON.parse(body).detail, 'No such user');
+            done();
+        });
+    });
+
+    it('sets the error headers', function (done) {
+        request(eros.tooManyRequests('Slow down', null, 30), null, function (res) {
+            t.equal(res.statusCode, 429);
+            t.equal(res.headers['retry-after'], '30');
+            done();
+        });
+    });
+
+    it('honours quality values', function (done) {
+        request(eros.forbidden(), 'text/html;q=0.5, application/json', function (res) {
+            t.include(res.headers['content-type'], 'application/json');
+            done();
+        });
+    });
+
+    it('converts non-eros errors into InternalError', function (done) {
+        var native = new Error('disk on fire');
+        request(native, 'application/json', function (res, body) {
+            var last = logged[logged.length - 1];
+            t.equal(res.statusCode, 500);
+            t.equal(JSON.parse(body).name, 'InternalError');
+            t.equal(JSON.parse(body).message, 'An unexpected InternalError occurred.');
+            t.instanceOf(last[0], eros.InternalError);
+            t.equal(last[0].cause, native);
+            t.equal(last[1], '/test');
+            done();
+        });
+    });
+
+    it('only exposes stacks when enabled', function (done) {
+        request(eros.internal('oops'), null, function (res, body) {
+            t.notProperty(JSON.parse(body), 'stack');
+            eros.stacks(true);
+            request(eros.internal('oops'), null, function (res, body) {
+                eros.stacks(false);
+                t.property(JSON.parse(body), 'stack');
+                done();
+            });
+        });
+    });
+});
+
+describe('eros.middleware() localization', function () {
+    var server, port, thrown,
+        handler = eros.middleware();
+
+    eros.addLocale('es', {NotFoundError: {message: 'No encontrado'}});
+
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            handler(thrown, req, res);
+        });
+        server.listen(0, '127.0.0.1', function () {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    it('renders errors in the language of Accept-Language', function (done) {
+        thrown = eros.NotFoundError();
+        var headers = {'Accept-Language': 'it;q=0.2, es-MX, en;q=0.5'};
+        http.get({host: '127.0.0.1', port: port, path: '/', headers: headers}, function (res) {
+            var body = '';
+            res.setEncoding('utf8');
+            res.on('data', function (chunk) { body += chunk; });
+            res.on('end', function () {
+                t.equal(res.statusCode, 404);
+                t.equal(JSON.parse(body).message, 'No encontrado');
+                done();
+            });
+        });
+    });
+});
+
+describe('eros.middleware() audience', function () {
+    var server, port, thrown,
+        handler = eros.middleware({audience: 'public'});
+
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            handler(thrown, req, res);
+        });
+        server.listen(0, '127.0.0.1', function () {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    function request(err, accept, cb) {
+        thrown = err;
+        http.get({host: '127.0.0.1', port: port, path: '/', headers: {Accept: accept}}, function (res) {
+            var body = '';
+            res.setEncoding('utf8');
+            res.on('data', function (chunk) { body += chunk; });
+            res.on('end', function () { cb(res, body); });
+        });
+    }
+
+    it('hides server error details from the public', function (done) {
+        request(new Error('password authentication failed for user "admin"'), 'application/json', function (res, body) {
+            t.equal(res.statusCode, 500);
+            t.deepEqual(JSON.parse(body), {status: 500, message: 'Internal Server Error'});
+            request(new Error('password authentication failed'), 'text/plain', function (res, body) {
+                t.equal(body, '500: Internal Server Error\nstatus: 500');
+                done();
+            });
+        });
+    });
+
+    it('keeps client error details', function (done) {
+        request(eros.conflict('User exists', {id: 7}), 'text/plain', function (res, body) {
+            t.equal(res.statusCode, 409);
+            t.include(body, 'ConflictError: User exists');
+            t.include(body, 'data: {"id":7}');
+            done();
+        });
+    });
+});
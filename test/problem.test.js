@@ -0,0 +1,61 @@
+"use strict";
+
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('problem details', function () {
+    afterEach(function () {
+        eros.problemBase(null);
+    });
+
+    it('maps status and message onto title and detail', function () {
+        var problem = eros.notFound('No such user', {id: 7}).toProblem();
+        t.equal(problem.type, 'about:blank');
+        t.equal(problem.title, 'Not Found');
+        t.equal(problem.status, 404);
+        t.equal(problem.detail, 'No such user');
+        t.equal(problem.code, 404);
+        t.deepEqual(problem.data, {id: 7});
+        t.notProperty(problem, 'name');
+        t.notProperty(problem, 'message');
+    });
+
+    it('builds the type from the base URI and code', function () {
+        eros.problemBase('https://errors.example.com/');
+        var problem = eros.conflict('Taken').toProblem({instance: '/users/7'});
+        t.equal(problem.type, 'https://errors.example.com/409');
+        t.equal(problem.instance, '/users/7');
+        t.notProperty(problem, 'code');
+        t.equal(eros.forbidden().toProblem({baseURI: 'urn:err:'}).type, 'urn:err:403');
+    });
+
+    it('rebuilds errors from problem documents', function () {
+        eros.problemBase('https://errors.example.com/');
+        var err = eros.fromProblem(JSON.stringify(eros.conflict('Taken', {id: 7}).toProblem()));
+        t.instanceOf(err, eros.ConflictError);
+        t.equal(err.message, 'Taken');
+        t.equal(err.status, 409);
+        t.deepEqual(err.data, {id: 7});
+    });
+
+    it('round trips application defined errors', function () {
+        var QuotaProblemError = eros.define({name: 'QuotaProblemError', status: 429}),
+            err = eros.fromProblem(new QuotaProblemError({limit: 10}).toProblem());
+        t.instanceOf(err, QuotaProblemError);
+        t.equal(err.status, 429);
+        t.equal(err.limit, 10);
+    });
+
+    it('consumes foreign problem documents', function () {
+        var err = eros.fromProblem({
+            type: 'https://example.net/probs/out-of-credit',
+            title: 'You do not have enough credit.',
+            status: 403,
+            detail: 'Your current balance is 30, but that costs 50.',
+            balance: 30
+        });
+        t.instanceOf(err, eros.ForbiddenError);
+        t.equal(err.message, 'Your current balance is 30, but that costs 50.');
+        t.equal(err.balance, 30);
+    });
+});
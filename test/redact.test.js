@@ -0,0 +1,101 @@
+"use strict";
+
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('redaction', function () {
+    var defaults = {},
+        LoginError = eros.define({name: 'LoginError', redact: ['pin', 'data.user.ssn']}),
+        LockoutError = eros.define({name: 'LockoutError', parent: LoginError});
+
+    before(function () {
+        var config = eros.redaction();
+        Object.keys(config).forEach(function (key) {
+            defaults[key] = config[key];
+        });
+    });
+
+    afterEach(function () {
+        eros.redaction(defaults);
+    });
+
+    it('masks credentials by default', function () {
+        var err = eros.badRequest('Bad login', {user: 'bob', password: 'hunter2', auth: {accessToken: 'abc'}});
+        var json = err.toJSON();
+        t.equal(json.data.user, 'bob');
+        t.equal(json.data.password, '***');
+        t.equal(json.data.auth.accessToken, '***');
+        t.equal(err.data.password, 'hunter2');
+    });
+
+    it('redacts top level properties in toString()', function () {
+        var err = new LoginError({pin: 1234, refID: 'r1'}),
+            str = err.toString();
+        t.include(str, 'pin: ***');
+        t.include(str, 'refID: r1');
+        t.notInclude(str, '1234');
+    });
+
+    it('applies per class lists and deep paths', function () {
+        var json = new LoginError({data: {user: {ssn: '123-45-6789', name: 'Bob'}}, pin: 1}).toJSON();
+        t.equal(json.data.user.ssn, '***');
+        t.equal(json.data.user.name, 'Bob');
+        t.equal(json.pin, '***');
+    });
+
+    it('inherits per class lists', function () {
+        t.deepEqual(LockoutError.redact, ['pin', 'data.user.ssn']);
+        t.equal(new LockoutError({pin: 1}).toJSON().pin, '***');
+    });
+
+    it('supports global key patterns and wildcard paths', function () {
+        eros.redaction({keys: [/^x-/i], paths: ['data.card.*']});
+        var json = eros.badRequest('Declined', {card: {number: '4111', cvc: '123'}, 'X-Internal': 'y', ok: 1}).toJSON();
+        t.deepEqual(json.data, {card: {number: '***', cvc: '***'}, 'X-Internal': '***', ok: 1});
+    });
+
+    it('supports the remove strategy', function () {
+        eros.redaction({strategy: 'remove'});
+        t.deepEqual(eros.badRequest('x', {password: 'p', user: 'u'}).toJSON().data, {user: 'u'});
+    });
+
+    it('supports the hash strategy', function () {
+        eros.redaction({strategy: 'hash'});
+        var a = eros.badRequest('x', {token: 'abc'}).toJSON().data.token,
+            b = eros.badRequest('x', {token: 'abc'}).toJSON().data.token;
+        t.match(a, /^sha256:[0-9a-f]{16}$/);
+        t.equal(a, b);
+        t.notEqual(a, eros.badRequest('x', {token: 'abd'}).toJSON().data.token);
+    });
+
+    it('supports custom strategies', function () {
+        eros.redaction({strategy: function (value) { return String(value).slice(-2); }});
+        t.equal(eros.badRequest('x', {token: 'abcdef'}).toJSON().data.token, 'ef');
+    });
+
+    it('redacts when stacks are enabled', function () {
+        eros.stacks(true);
+        try {
+            var err = new LoginError({pin: 1234}),
+                json = err.toJSON();
+            t.property(json, 'stack');
+            t.equal(json.pin, '***');
+            t.notInclude(err.toString(), '1234');
+        } finally {
+            eros.stacks(false);
+        }
+    });
+
+    it('redacts causes and problem details', function () {
+        var err = eros.wrap(new LoginError({pin: 1234}), 'Login failed');
+        t.equal(err.toJSON().cause.pin, '***');
+        t.equal(new LoginError({pin: 1234}).toProblem().pin, '***');
+    });
+
+    it('redacts violation values', function () {
+        var json = eros.invalid([{path: 'user.password', message: 'too short', value: 'abc'},
+            {path: 'user.name', message: 'too short', value: 'B'}]).toJSON();
+        t.equal(json.violations[0].value, '***');
+        t.equal(json.violations[1].value, 'B');
+    });
+});
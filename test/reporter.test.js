@@ -0,0 +1,285 @@
+"use strict";
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('eros.reporter()', function () {
+    var sent, transport;
+
+    beforeEach(function () {
+        sent = [];
+        transport = {
+            send: function (records, callback) {
+                sent.push(records);
+                callback(null);
+            }
+        };
+    });
+
+    function create(options) {
+        options = options || {};
+        options.transports = options.transports || [transport];
+        options.flushOnExit = false;
+        return eros.reporter(options);
+    }
+
+    it('sends the JSON of errors', function () {
+        var reporter = create();
+        t.isTrue(reporter.report(eros.notFound('No such user', {id: 7})));
+        return reporter.flush().then(function () {
+            t.lengthOf(sent, 1);
+            var record = sent[0][0];
+            t.match(record.fingerprint, /^[0-9a-f]{32}$/);
+            t.ok(!isNaN(Date.parse(record.timestamp)));
+            t.equal(record.error.name, 'NotFoundError');
+            t.equal(record.error.message, 'No such user');
+            t.deepEqual(record.error.data, {id: 7});
+        });
+    });
+
+    it('converts native errors first', function () {
+        var reporter = create(), err = new TypeError('x is not a function');
+        reporter.report(err);
+        return reporter.flush().then(function () {
+            var record = sent[0][0];
+            t.equal(record.error.name, eros.from(err).name);
+            t.equal(record.error.message, 'x is not a function');
+            t.equal(record.fingerprint, eros.fingerprint(err));
+        });
+    });
+
+    it('converts thrown values once', function () {
+        var reporter = create();
+        eros.metrics.reset();
+        reporter.report('boom');
+        t.deepEqual(eros.metrics.counts().map(function (entry) { return [entry.name, entry.count]; }),
+            [['InternalError', 1]]);
+        eros.metrics.reset();
+        return reporter.flush().then(function () {
+            var record = sent[0][0];
+            t.equal(record.error.message, 'boom');
+        });
+    });
+
+    it('samples reports', function () {
+        var none = create({sampleRate: 0}), all = create({sampleRate: 1});
+        t.isFalse(none.report(eros.notFound()));
+        t.isTrue(all.report(eros.notFound()));
+    });
+
+    it('limits the reports per fingerprint', function () {
+        var reporter = create({rateLimit: {max: 2, interval: 60000}});
+        function report(msg) {
+            return reporter.report(new eros.NotFoundError(msg));
+        }
+        t.isTrue(report('No user 1'));
+        t.isTrue(report('No user 2'));
+        t.isFalse(report('No user 3'));
+        t.isTrue(report('No such order'));
+        return reporter.flush().then(function () {
+            t.lengthOf(sent[0], 3);
+        });
+    });
+
+    it('sends batches', function () {
+        var reporter = create({batchSize: 2});
+        reporter.report(eros.notFound());
+        t.lengthOf(sent, 0);
+        reporter.report(eros.conflict());
+        t.lengthOf(sent, 1);
+        t.lengthOf(sent[0], 2);
+        reporter.report(eros.badRequest());
+        return reporter.flush().then(function () {
+            t.deepEqual(sent.map(function (records) { return records.length; }), [2, 1]);
+        });
+    });
+
+    it('flushes after the flush interval', function (done) {
+        var reporter = create({flushInterval: 10});
+        reporter.report(eros.notFound());
+        t.lengthOf(sent, 0);
+        setTimeout(function () {
+            t.lengthOf(sent, 1);
+            done();
+        }, 50);
+    });
+
+    it('reports the errors of transports', function (done) {
+        var errors = [],
+            failing = {
+                send: function (records, callback) {
+                    callback(eros.badGateway('Down'));
+                }
+            },
+            reporter = create({transports: [failing, transport], onError: errors.push.bind(errors)});
+        reporter.report(eros.notFound());
+        reporter.flush(function (err) {
+            t.equal(err.message, 'Down');
+            t.lengthOf(errors, 1);
+            t.lengthOf(sent, 1);
+            done();
+        });
+    });
+
+    it('flushes on exit', function () {
+        var before = process.listeners('exit').length,
+            reporter = eros.reporter({transports: [transport]});
+        t.equal(process.listeners('exit').length, before + 1);
+        return reporter.close().then(function () {
+            t.equal(process.listeners('exit').length, before);
+            t.isFalse(reporter.report(eros.notFound()));
+        });
+    });
+
+    it('sends the queue synchronously when the process exits', function () {
+        var sync = [],
+            reporter = eros.reporter({transports: [{
+                send: transport.send,
+                sendSync: function (records) {
+                    sync.push(records);
+                }
+            }]});
+        reporter.report(eros.notFound());
+        process.listeners('exit').slice(-1)[0]();
+        t.lengthOf(sync, 1);
+        t.lengthOf(sent, 0);
+        return reporter.close();
+    });
+
+    describe('console transport', function () {
+        it('writes lines of JSON', function () {
+            var output = '',
+                stream = {write: function (str) { output += str; }},
+                reporter = create({transports: [eros.reporter.console({stream: stream})]});
+            reporter.report(eros.notFound('A'));
+            reporter.report(eros.notFound('B'));
+            return reporter.flush().then(function () {
+                var lines = output.trim().split('\n').map(JSON.parse);
+                t.deepEqual(lines.map(function (record) { return record.error.message; }), ['A', 'B']);
+            });
+        });
+    });
+
+    describe('file transport', function () {
+        var dir, file;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eros-'));
+            file = path.join(dir, 'errors.log');
+        });
+
+        afterEach(function () {
+            fs.readdirSync(dir).forEach(function (name) {
+                fs.unlinkSync(path.join(dir, name));
+            });
+            fs.rmdirSync(dir);
+        });
+
+        it('appends lines of JSON', function () {
+            var reporter = create({transports: [eros.reporter.file({path: file})]});
+            reporter.report(eros.notFound('A'));
+            return reporter.flush().then(function () {
+                reporter.report(eros.notFound('B'));
+                return reporter.flush();
+            }).then(function () {
+                var lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+                t.deepEqual(lines.map(function (record) { return record.error.message; }), ['A', 'B']);
+            });
+        });
+
+        it('rotates files', function () {
+            var reporter = create({batchSize: 1, transports: [eros.reporter.file({path: file, maxSize: 10, maxFiles: 2})]});
+            ['A', 'B', 'C', 'D'].forEach(function (msg) {
+                reporter.report(eros.notFound(msg));
+            });
+            return reporter.flush().then(function () {
+                function message(name) {
+                    return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')).error.message;
+                }
+                t.deepEqual(fs.readdirSync(dir).sort(), ['errors.log', 'errors.log.1', 'errors.log.2']);
+                t.equal(message('errors.log'), 'D');
+                t.equal(message('errors.log.1'), 'C');
+                t.equal(message('errors.log.2'), 'B');
+            });
+        });
+    });
+
+    describe('http transport', function () {
+        var server, requests, status;
+
+        beforeEach(function (done) {
+            requests = [];
+            status = 202;
+            server = http.createServer(function (req, res) {
+                var body = '';
+                req.on('data', function (chunk) { body += chunk; });
+                req.on('end', function () {
+                    requests.push({method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body)});
+                    res.statusCode = status;
+                    res.end();
+                });
+            });
+            server.listen(0, '127.0.0.1', done);
+        });
+
+        afterEach(function (done) {
+            server.close(done);
+        });
+
+        function endpoint() {
+            return 'http://127.0.0.1:' + server.address().port + '/reports';
+        }
+
+        it('posts batches of records', function () {
+            var reporter = create({transports: [eros.reporter.http({url: endpoint(), headers: {'X-Api-Key': 'k1'}})]});
+            reporter.report(eros.notFound('A'));
+            reporter.report(eros.conflict('B'));
+            return reporter.flush().then(function () {
+                t.lengthOf(requests, 1);
+                t.equal(requests[0].method, 'POST');
+                t.equal(requests[0].url, '/reports');
+                t.equal(requests[0].headers['content-type'], 'application/json');
+                t.equal(requests[0].headers['x-api-key'], 'k1');
+                t.deepEqual(requests[0].body.map(function (record) { return record.error.name; }),
+                    ['NotFoundError', 'ConflictError']);
+            });
+        });
+
+        it('fails on rejected reports', function () {
+            status = 503;
+            var reporter = create({transports: [eros.reporter.http({url: endpoint()})]});
+            reporter.report(eros.notFound());
+            return reporter.flush().then(function () {
+                t.fail('resolved');
+            }, function (err) {
+                t.instanceOf(err, eros.ServerTimeoutError);
+                t.equal(err.message, 'Error report rejected with status 503');
+            });
+        });
+
+        it('reports the records dropped when the process exits', function (done) {
+            var errors = [],
+                reporter = eros.reporter({
+                    transports: [eros.reporter.http({url: endpoint()})],
+                    flushInterval: 5000,
+                    onError: errors.push.bind(errors)
+                });
+            reporter.report(eros.notFound());
+            process.listeners('exit').slice(-1)[0]();
+            t.lengthOf(errors, 1);
+            t.instanceOf(errors[0], eros.InternalError);
+            t.equal(errors[0].dropped, 1);
+            reporter.close(function (err) {
+                t.notOk(err);
+                setTimeout(function () {
+                    t.lengthOf(requests, 0);
+                    done();
+                }, 20);
+            });
+        });
+    });
+});
@@ -0,0 +1,146 @@
+"use strict";
+
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('retryability', function () {
+    it('classifies the built-in errors', function () {
+        ['ClientTimeoutError', 'TooManyRequestsError', 'BadGatewayError', 'ServerTimeoutError', 'GatewayTimeoutError']
+            .forEach(function (name) {
+                var err = new eros[name]();
+                t.isTrue(err.retryable, name);
+                t.isTrue(err.transient, name);
+            });
+        [eros.badRequest(), eros.notFound(), eros.conflict(), eros.internal(), new eros.ValidationError()]
+            .forEach(function (err) {
+                t.isFalse(err.retryable, err.name);
+            });
+        t.isTrue(eros.from(Object.assign(new Error('reset'), {code: 'ECONNRESET'})).retryable);
+    });
+
+    it('takes the metadata from define() and the options', function () {
+        var LeaseError = eros.define({name: 'LeaseError', retryable: true, transient: true, retryAfter: 2}),
+            LeaseLostError = eros.define({name: 'LeaseLostError', parent: LeaseError, transient: false}),
+            err = new LeaseLostError({retryAfter: 5});
+        t.isTrue(err.retryable);
+        t.isFalse(err.transient);
+        t.equal(err.retryAfter, 5);
+        t.equal(new LeaseLostError().retryAfter, 2);
+        t.isFalse(new LeaseError({retryable: false}).retryable);
+        t.notProperty(new LeaseError().toJSON(), 'retryable');
+    });
+});
+
+describe('eros.retry()', function () {
+    it('retries retryable errors of promises', function () {
+        var calls = [];
+        return eros.retry(function (attempt) {
+            calls.push(attempt);
+            return attempt < 3 ? Promise.reject(eros.badGateway()) : Promise.resolve('ok');
+        }, {backoff: 0}).then(function (result) {
+            t.equal(result, 'ok');
+            t.deepEqual(calls, [1, 2, 3]);
+        });
+    });
+
+    it('gives up with the errors of all attempts', function () {
+        var calls = 0;
+        return eros.retry(function () {
+            calls++;
+            throw eros.gatewayTimeout('Attempt ' + calls);
+        }, {retries: 2, backoff: 0}).then(function () {
+            t.fail('resolved');
+        }, function (err) {
+            t.instanceOf(err, eros.MultiError);
+            t.equal(err.message, 'Gave up after 3 attempts.');
+            t.equal(err.status, 504);
+            t.deepEqual(err.errors.map(function (e) { return e.message; }), ['Attempt 1', 'Attempt 2', 'Attempt 3']);
+        });
+    });
+
+    it('does not retry client errors', function () {
+        var calls = 0;
+        return eros.retry(function () {
+            calls++;
+            return Promise.reject(eros.badRequest('Invalid id'));
+        }, {backoff: 0}).then(function () {
+            t.fail('resolved');
+        }, function (err) {
+            t.equal(calls, 1);
+            t.equal(err.status, 400);
+            t.equal(err.errors[0].message, 'Invalid id');
+        });
+    });
+
+    it('supports callbacks', function (done) {
+        var calls = 0;
+        eros.retry(function (cb, attempt) {
+            calls++;
+            var err = new Error('connect ECONNREFUSED');
+            err.code = 'ECONNREFUSED';
+            setImmediate(function () {
+                return attempt < 2 ? cb(err) : cb(null, attempt);
+            });
+        }, {backoff: 1}, function (err, result) {
+            t.notOk(err);
+            t.equal(result, 2);
+            t.equal(calls, 2);
+            done();
+        });
+    });
+
+    it('classifies native errors without creating errors', function () {
+        eros.metrics.reset();
+        return eros.retry(function () {
+            var err = new Error('read ECONNRESET');
+            err.code = 'ECONNRESET';
+            throw err;
+        }, {retries: 2, backoff: 0}).then(function () {
+            t.fail('resolved');
+        }, function (err) {
+            t.equal(err.errors.length, 3);
+            // one conversion per attempt, none for classifying them
+            t.deepEqual(eros.metrics.counts().map(function (entry) { return [entry.name, entry.count]; }),
+                [['BadGatewayError', 3], ['MultiError', 1]]);
+            eros.metrics.reset();
+        });
+    });
+
+    it('converts failure values into errors', function (done) {
+        var failures = ['ETIMEDOUT', {name: 'LeaseError', message: 'Lease lost'}];
+        eros.retry(function (cb, attempt) {
+            cb(failures[attempt - 1]);
+        }, {retries: 1, retryable: function () { return true; }, backoff: 0}, function (err) {
+            t.instanceOf(err.errors[0], eros.InternalError);
+            t.equal(err.errors[0].message, 'ETIMEDOUT');
+            t.equal(err.errors[1].message, 'Lease lost');
+            t.equal(err.toJSON().errors[0].message, 'ETIMEDOUT');
+            done();
+        });
+    });
+
+    it('consults a custom predicate and backoff', function (done) {
+        var delays = [];
+        eros.retry(function (cb) {
+            cb(new TypeError('flaky'));
+        }, {
+            retries: 2,
+            retryable: function (err) { return err instanceof TypeError; },
+            backoff: function (attempt) { delays.push(attempt); return 0; }
+        }, function (err) {
+            t.equal(err.errors.length, 3);
+            t.deepEqual(delays, [1, 2]);
+            done();
+        });
+    });
+
+    it('waits for the retryAfter of errors', function () {
+        var started = Date.now();
+        return eros.retry(function (attempt) {
+            if (attempt === 1) throw eros.tooManyRequests('Slow down', null, 0.05);
+            return Date.now() - started;
+        }, {backoff: 0}).then(function (elapsed) {
+            t.ok(elapsed >= 40, 'waited ' + elapsed + 'ms');
+        });
+    });
+});
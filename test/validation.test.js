@@ -0,0 +1,87 @@
+"use strict";
+
+var eros = require('..');
+var t = require('chai').assert;
+
+describe('ValidationError', function () {
+
+    it('is an unprocessable entity error', function () {
+        var err = new eros.ValidationError();
+        t.instanceOf(err, eros.UnprocessableEntityError);
+        t.instanceOf(err, eros.HttpError);
+        t.equal(err.status, 422);
+        t.equal(err.message, 'Validation failed.');
+        t.deepEqual(err.violations, []);
+        t.equal(eros.find('ValidationError'), eros.ValidationError);
+    });
+
+    it('collects violations incrementally', function () {
+        var err = new eros.ValidationError('Invalid user')
+            .add('email', 'is required', 'required')
+            .add({path: 'age', rule: 'min', value: 12, message: 'must be 18 or older'});
+        t.deepEqual(err.violations, [
+            {path: 'email', rule: 'required', message: 'is required'},
+            {path: 'age', rule: 'min', value: 12, message: 'must be 18 or older'}
+        ]);
+        t.notInclude(Object.keys(err), 'violations');
+    });
+
+    it('renders violations in toString()', function () {
+        var str = eros.invalid([{path: 'email', message: 'is required'}], 'Invalid user')
+            .add('age', 'must be a number', 'type').toString();
+        t.include(str, 'ValidationError: Invalid user');
+        t.include(str, 'Violations:\n  - email: is required\n  - age: must be a number [type]');
+        t.notInclude(str, 'violations: ');
+    });
+
+    it('keeps the stack trace last', function () {
+        var err = eros.invalid([{path: 'email', message: 'is required'}]);
+        eros.stacks(true);
+        try {
+            var str = err.toString();
+            t.equal(str.slice(-err.stack.length), err.stack);
+            t.include(str, '  - email: is required\n' + err.stack);
+        } finally {
+            eros.stacks(false);
+        }
+    });
+
+    it('renders violations in toJSON()', function () {
+        var json = JSON.parse(JSON.stringify(eros.invalid([{path: 'name', message: 'is too short', value: 'x'}])));
+        t.equal(json.status, 422);
+        t.deepEqual(json.violations, [{path: 'name', value: 'x', message: 'is too short'}]);
+    });
+
+    it('survives a JSON round trip', function () {
+        var copy = eros.fromJSON(JSON.stringify(eros.invalid([{path: 'name', message: 'is too short'}])));
+        t.instanceOf(copy, eros.ValidationError);
+        t.deepEqual(copy.violations, [{path: 'name', message: 'is too short'}]);
+    });
+
+    it('ingests ajv errors', function () {
+        var err = eros.invalid([{instancePath: '/address/zip', keyword: 'pattern', message: 'must match pattern'}]);
+        t.deepEqual(err.violations, [{path: 'address.zip', rule: 'pattern', message: 'must match pattern'}]);
+    });
+
+    it('ingests joi errors', function () {
+        var err = eros.invalid({details: [{path: ['items', 0, 'qty'], type: 'number.min',
+            message: '"qty" must be greater than 0', context: {value: -1}}]});
+        t.deepEqual(err.violations, [{path: 'items.0.qty', rule: 'number.min', value: -1,
+            message: '"qty" must be greater than 0'}]);
+    });
+
+    it('ingests zod and yup errors', function () {
+        t.deepEqual(eros.invalid({issues: [{path: ['name'], code: 'too_small', message: 'Too short'}]}).violations,
+            [{path: 'name', rule: 'too_small', message: 'Too short'}]);
+        t.deepEqual(eros.invalid({inner: [{path: 'email', type: 'email', value: 'x', message: 'Invalid email'}]}).violations,
+            [{path: 'email', rule: 'email', value: 'x', message: 'Invalid email'}]);
+    });
+
+    it('ingests express-validator and class-validator errors', function () {
+        t.deepEqual(eros.invalid([{param: 'email', msg: 'Invalid value', value: 'x'}]).violations,
+            [{path: 'email', value: 'x', message: 'Invalid value'}]);
+        t.deepEqual(eros.invalid([{property: 'address', children: [
+            {property: 'city', value: '', constraints: {isNotEmpty: 'city should not be empty'}}
+        ]}]).violations, [{path: 'address.city', rule: 'isNotEmpty', message: 'city should not be empty'}]);
+    });
+});